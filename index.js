@@ -1,6 +1,17 @@
 const MetricsCollector = require('./lib/metrics-collector');
 const NodeRedHooks = require('./lib/node-red-hooks');
 const PrometheusExporter = require('./lib/prometheus-exporter');
+const PushExporter = require('./lib/push-exporter');
+const OtlpExporter = require('./lib/otlp-exporter');
+const Tracer = require('./lib/tracer');
+const StatsdEmitter = require('./lib/statsd-emitter');
+const InfluxExporter = require('./lib/influx-exporter');
+const AlertEngine = require('./lib/alert-engine');
+const CustomMetrics = require('./lib/custom-metrics');
+const MetricsPersistence = require('./lib/metrics-persistence');
+const DashboardFeed = require('./lib/dashboard-feed');
+const MetricsHistory = require('./lib/metrics-history');
+const RuntimeMonitor = require('./lib/runtime-monitor');
 
 class NodeRedFlowMetrics {
     constructor(options = {}) {
@@ -9,24 +20,106 @@ class NodeRedFlowMetrics {
             port: 1881,
             metricsRoute: '/metrics',
             jsonRoute: '/metrics/json',
+            wiresRoute: '/metrics/wires',
+            stuckRoute: '/metrics/stuck',
+            historyRoute: '/metrics/history',
+            alertsRoute: '/alerts',
+            dashboardRoute: '/flow-metrics/dashboard',
             healthRoute: '/health',
+            serverMode: 'standalone',
+            username: '',
+            password: '',
+            bearerToken: '',
+            tlsCertPath: '',
+            tlsKeyPath: '',
+            ipAllowlist: [],
             collectInterval: 5000,
             enableDetailedLogging: false,
             maxTimingEntries: 1000,
             batchSize: 100,
             flushInterval: 1000,
+            measurePayloadSize: false,
+            payloadSampleRate: 0.1,
+            payloadSizeLimit: 1048576,
+            stuckMessageTimeout: 30000,
+            stuckMessageRetention: 300000,
+            removedSeriesGracePeriod: 0,
+            executionTimeBuckets: MetricsCollector.DEFAULT_EXECUTION_TIME_BUCKETS,
+            executionTimeBucketsByType: {},
+            executionTimeSummary: false,
+            summaryMaxAgeSeconds: 600,
+            summaryAgeBuckets: 5,
+            includeNodeTypes: [],
+            excludeNodeTypes: [],
+            includeFlows: [],
+            excludeFlows: [],
+            includeNamePattern: '',
+            excludeNamePattern: '',
+            aggregateByNodeType: false,
+            maxSeries: 0,
+            pushMode: 'none',
+            pushUrl: '',
+            pushInterval: 15000,
+            pushJobName: 'node-red',
+            pushMaxBufferSize: 100,
+            otlpEnabled: false,
+            otlpEndpoint: '',
+            otlpInterval: 30000,
+            otlpHeaders: {},
+            otlpServiceName: 'node-red',
+            tracingEnabled: false,
+            tracingFormat: 'otlp',
+            tracingEndpoint: '',
+            tracingServiceName: 'node-red',
+            tracingSampleRate: 1,
+            statsdEnabled: false,
+            statsdHost: '127.0.0.1',
+            statsdPort: 8125,
+            statsdPrefix: 'nodered.',
+            statsdTagFormat: 'dogstatsd',
+            statsdFlushInterval: 10000,
+            influxMode: 'none',
+            influxUrl: '',
+            influxToken: '',
+            influxInterval: 15000,
+            mqttUrl: '',
+            mqttTopic: 'nodered/metrics',
+            mqttUsername: '',
+            mqttPassword: '',
+            alertRules: [],
+            alertInterval: 15000,
+            persistenceEnabled: false,
+            persistenceFile: '',
+            persistenceInterval: 60000,
+            historyEnabled: false,
+            historyIncludeProcessMetrics: false,
+            historyInterval: 10000,
             ...options
         };
 
         this.metricsCollector = new MetricsCollector(this.options);
-        this.nodeRedHooks = new NodeRedHooks(this.metricsCollector, this.options);
-        this.prometheusExporter = new PrometheusExporter(this.metricsCollector, this.options);
+        this.runtimeMonitor = new RuntimeMonitor(this.metricsCollector, this.options);
+        this.tracer = new Tracer(this.metricsCollector, this.options);
+        this.nodeRedHooks = new NodeRedHooks(this.metricsCollector, this.options, this.tracer);
+        this.alertEngine = new AlertEngine(this.metricsCollector, this.options);
+        this.metricsHistory = new MetricsHistory(this.metricsCollector, this.options);
+        this.dashboardFeed = new DashboardFeed(this.metricsCollector, this.metricsHistory, this.options);
+        this.prometheusExporter = new PrometheusExporter(
+            this.metricsCollector, this.options, this.alertEngine, this.dashboardFeed,
+            this.options.historyEnabled ? this.metricsHistory : null
+        );
+        this.pushExporter = new PushExporter(this.metricsCollector, this.options);
+        this.otlpExporter = new OtlpExporter(this.metricsCollector, this.options);
+        this.statsdEmitter = new StatsdEmitter(this.metricsCollector, this.options);
+        this.influxExporter = new InfluxExporter(this.metricsCollector, this.options);
+        this.persistence = new MetricsPersistence(this.metricsCollector, this.options);
+        this.customMetrics = new CustomMetrics(this.metricsCollector, this.options, this.persistence);
 
         this.isInitialized = false;
         this.isServerRunning = false;
 
         if (this.options.enableDetailedLogging) {
-            console.log('Initializing Node-RED Flow Metrics with options:', this.options);
+            console.log('Initializing Node-RED Flow Metrics with options:', this.getConfig());
         } else {
             console.log('Initializing Node-RED Flow Metrics...');
         }
@@ -45,11 +138,32 @@ class NodeRedFlowMetrics {
                 console.log('🔧 Initializing metrics system...');
             }
 
+            await this.persistence.start(RED.settings?.userDir);
             await this.nodeRedHooks.init(RED);
+            this.customMetrics.install(RED);
 
             this.metricsCollector.start();
+            this.runtimeMonitor.start();
+            this.pushExporter.start();
+            this.otlpExporter.start(typeof RED.version === 'function' ? RED.version() : '');
+            this.tracer.start();
+            this.statsdEmitter.start();
+            this.influxExporter.start();
+            this.alertEngine.start();
+            // The history's samples also pace the dashboard
+            if (this.options.historyEnabled || this.options.serverMode !== 'none') {
+                this.metricsHistory.start();
+            }
+            if (this.options.serverMode !== 'none') {
+                this.dashboardFeed.start();
+            }
 
-            if (!this.isServerRunning) {
+            if (this.options.serverMode === 'none') {
+                console.log('✅ Node-RED Flow Metrics running without an HTTP endpoint');
+            } else if (!this.isServerRunning && this.options.serverMode !== 'standalone') {
+                this.mountOnNodeRed(RED);
+                this.isServerRunning = true;
+            } else if (!this.isServerRunning) {
                 await this.prometheusExporter.start(
                     this.options.host,
                     this.options.port,
@@ -59,12 +173,18 @@ class NodeRedFlowMetrics {
                 );
                 this.isServerRunning = true;
 
-                const serverUrl = `http://${this.options.host}:${this.options.port}`;
+                const protocol = this.prometheusExporter.isTlsEnabled() ? 'https' : 'http';
+                const serverUrl = `${protocol}://${this.options.host}:${this.options.port}`;
                 console.log(`✅ Node-RED Flow Metrics server running at ${serverUrl}${this.options.metricsRoute}`);
 
                 if (this.options.enableDetailedLogging) {
                     console.log(`📊 Metrics endpoint: ${serverUrl}${this.options.metricsRoute}`);
                     console.log(`📋 JSON endpoint: ${serverUrl}${this.options.jsonRoute}`);
+                    console.log(`🔀 Wires endpoint: ${serverUrl}${this.options.wiresRoute}`);
+                    console.log(`⏳ Stuck messages endpoint: ${serverUrl}${this.options.stuckRoute}`);
+                    console.log(`🕒 History endpoint: ${serverUrl}${this.options.historyRoute}`);
+                    console.log(`🚨 Alerts endpoint: ${serverUrl}${this.options.alertsRoute}`);
+                    console.log(`📈 Dashboard: ${serverUrl}${this.options.dashboardRoute}`);
                     console.log(`💚 Health endpoint: ${serverUrl}${this.options.healthRoute}`);
                 }
             }
@@ -88,6 +208,35 @@ class NodeRedFlowMetrics {
         }
     }
 
+    /**
+     * Serve the metrics routes from Node-RED's admin (`admin`) or node
+     * (`node`) HTTP server. Admin routes require the `flow-metrics.read`
+     * permission when Node-RED's admin authentication is enabled.
+     */
+    mountOnNodeRed(RED) {
+        const mode = this.options.serverMode;
+        const httpApp = mode === 'node' ? RED.httpNode : RED.httpAdmin;
+        if (!httpApp) {
+            throw new Error(`Node-RED ${mode} HTTP server is not available`);
+        }
+
+        const authMiddleware = mode === 'admin' && typeof RED.auth?.needsPermission === 'function'
+            ? RED.auth.needsPermission('flow-metrics.read')
+            : null;
+
+        this.prometheusExporter.mount(httpApp, mode, authMiddleware);
+
+        const root = mode === 'node' ? RED.settings?.httpNodeRoot : RED.settings?.httpAdminRoot;
+        const prefix = typeof root === 'string' ? root.replace(/\/$/, '') : '';
+        console.log(`✅ Node-RED Flow Metrics served by the Node-RED ${mode} server at ${prefix}${this.options.metricsRoute}`);
+
+        if (this.options.enableDetailedLogging) {
+            console.log(`📋 JSON endpoint: ${prefix}${this.options.jsonRoute}`);
+            console.log(`📈 Dashboard: ${prefix}${this.options.dashboardRoute}`);
+            console.log(`💚 Health endpoint: ${prefix}${this.options.healthRoute}`);
+        }
+    }
+
     async stop() {
         try {
             if (this.options.enableDetailedLogging) {
@@ -98,6 +247,50 @@ class NodeRedFlowMetrics {
                 await this.nodeRedHooks.stop();
             }
 
+            if (this.customMetrics) {
+                this.customMetrics.uninstall();
+            }
+
+            if (this.persistence) {
+                await this.persistence.stop();
+            }
+
+            if (this.pushExporter) {
+                this.pushExporter.stop();
+            }
+
+            if (this.otlpExporter) {
+                this.otlpExporter.stop();
+            }
+
+            if (this.tracer) {
+                await this.tracer.stop();
+            }
+
+            if (this.statsdEmitter) {
+                await this.statsdEmitter.stop();
+            }
+
+            if (this.influxExporter) {
+                this.influxExporter.stop();
+            }
+
+            if (this.alertEngine) {
+                this.alertEngine.stop();
+            }
+
+            if (this.dashboardFeed) {
+                this.dashboardFeed.stop();
+            }
+
+            if (this.metricsHistory) {
+                this.metricsHistory.stop();
+            }
+
+            if (this.runtimeMonitor) {
+                this.runtimeMonitor.stop();
+            }
+
             if (this.prometheusExporter && this.isServerRunning) {
                 await this.prometheusExporter.stop();
                 this.isServerRunning = false;
@@ -126,6 +319,78 @@ class NodeRedFlowMetrics {
         return this.metricsCollector.getRegistry();
     }
 
+    getSnapshot(filter = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Metrics system not initialized');
+        }
+        return this.metricsCollector.getSnapshot(filter);
+    }
+
+    /**
+     * Recent values of a metric's series, see MetricsHistory.query().
+     */
+    queryHistory(query) {
+        if (!this.isInitialized) {
+            throw new Error('Metrics system not initialized');
+        }
+        if (!this.options.historyEnabled) {
+            throw new Error('Metrics history is disabled');
+        }
+        return this.metricsHistory.query(query);
+    }
+
+    /**
+     * Current message rate, errors and average execution time of every flow
+     * and of each node that has handled messages, for the editor sidebar.
+     * `messagesPerSecond` is the incoming rate, or the outgoing rate for
+     * nodes without inputs such as inject.
+     */
+    async getEditorMetrics() {
+        if (!this.isInitialized) {
+            throw new Error('Metrics system not initialized');
+        }
+
+        const snapshot = await this.metricsCollector.getSnapshot();
+        const flows = new Map(snapshot.flows.map(flow => [flow.id, flow]));
+
+        // Include deployed flows that have not seen any traffic yet
+        const inventory = this.metricsCollector.getFlowInventory();
+        if (inventory) {
+            inventory.flows.forEach((flow, id) => {
+                if (!flows.has(id) && flow.type === 'tab') {
+                    flows.set(id, { id, name: flow.label, messagesIncomingPerSecond: 0, messagesOutgoingPerSecond: 0, errors: 0, nodes: [] });
+                }
+            });
+        }
+
+        const rate = item => item.messagesIncomingPerSecond || item.messagesOutgoingPerSecond;
+        return {
+            timestamp: snapshot.timestamp,
+            flows: Array.from(flows.values()).map(flow => ({
+                id: flow.id,
+                name: flow.name,
+                messagesPerSecond: rate(flow),
+                errors: flow.errors,
+                nodes: flow.nodes.map(node => ({
+                    id: node.id,
+                    name: node.name,
+                    type: node.type,
+                    messagesPerSecond: rate(node),
+                    errors: node.errors,
+                    averageExecutionTime: node.executionTime ? node.executionTime.average : null
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Custom metrics owned by a node, see lib/custom-metrics.js. Function
+     * nodes reach the same API through RED.util.metrics.
+     */
+    forNode(node) {
+        return this.customMetrics.forNode(node);
+    }
+
     recordError(nodeId, nodeType, flowId, errorType, nodeName = '', flowName = '') {
         if (this.isInitialized && this.metricsCollector) {
             this.metricsCollector.recordError(nodeId, nodeType, flowId, errorType, nodeName, flowName);
@@ -133,11 +398,24 @@ class NodeRedFlowMetrics {
     }
 
     isReady() {
-        return this.isInitialized && this.isServerRunning;
+        return this.isInitialized && (this.isServerRunning || this.options.serverMode === 'none');
     }
 
+    /**
+     * Return the options with secrets masked, safe for logging.
+     */
     getConfig() {
-        return { ...this.options };
+        const config = { ...this.options };
+        ['password', 'bearerToken', 'influxToken', 'mqttPassword'].forEach(key => {
+            if (config[key]) {
+                config[key] = '********';
+            }
+        });
+        // OTLP headers usually carry API keys
+        config.otlpHeaders = Object.fromEntries(
+            Object.keys(config.otlpHeaders || {}).map(name => [name, '********'])
+        );
+        return config;
     }
 }
 
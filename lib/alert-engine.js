@@ -0,0 +1,330 @@
+const EventEmitter = require('events');
+const promClient = require('prom-client');
+const { groupSamples, estimateQuantile } = require('./metric-samples');
+
+// Separator for composite map keys - chosen to never appear in Node-RED IDs or names
+const KEY_SEP = '\x00';
+
+// Node IDs of series that aggregate several nodes
+const AGGREGATE_IDS = new Set(['', '__overflow__']);
+
+const RULE_TYPES = new Set(['error_rate', 'execution_p95', 'no_messages']);
+const DEFAULT_WINDOW_SECONDS = 300;
+
+/**
+ * Evaluates threshold rules against the collector's metrics and emits an
+ * `alert` event whenever an alert starts firing or resolves.
+ *
+ * Rules are objects with a `name`, a `type` and a `threshold`:
+ * - `error_rate`: errors per minute of a flow over `window` seconds
+ * - `execution_p95`: p95 execution time in seconds of a node over `window` seconds
+ * - `no_messages`: minutes since a node (by default each inject node) last sent a message
+ * `flow`, `node` (ID or name) and `nodeType` select what a rule applies to;
+ * each matching flow or node gets its own alert. `for` is the number of
+ * seconds a condition must hold before the alert fires.
+ */
+class AlertEngine extends EventEmitter {
+    constructor(metricsCollector, options = {}) {
+        super();
+        this.metricsCollector = metricsCollector;
+        this.options = {
+            alertRules: [],
+            alertInterval: 15000,
+            enableDetailedLogging: false,
+            ...options
+        };
+
+        this.rules = this._validateRules(this.options.alertRules);
+        this.timer = null;
+        this.isRunning = false;
+        this.startedAt = Date.now();
+        // Metric samples from previous evaluations, oldest first
+        this.history = [];
+        // Maps `${rule}${KEY_SEP}${series}` -> alert, for pending and firing alerts
+        this.alerts = new Map();
+
+        this.alertsFiring = new promClient.Gauge({
+            name: 'nodered_alerts_firing',
+            help: 'Number of firing alerts per rule',
+            labelNames: ['rule'],
+            registers: [this.metricsCollector.getRegistry()]
+        });
+    }
+
+    _validateRules(rules) {
+        return (Array.isArray(rules) ? rules : []).filter((rule, index) => {
+            const valid = rule && RULE_TYPES.has(rule.type) && Number.isFinite(Number(rule.threshold));
+            if (!valid) {
+                console.log(`⚠️ Ignoring invalid alert rule #${index + 1}: ${JSON.stringify(rule)}`);
+            }
+            return valid;
+        }).map((rule, index) => ({
+            ...rule,
+            name: rule.name || `${rule.type}_${index + 1}`,
+            threshold: Number(rule.threshold),
+            window: Number(rule.window) || DEFAULT_WINDOW_SECONDS,
+            for: Number(rule.for) || 0
+        }));
+    }
+
+    start() {
+        if (this.isRunning || this.rules.length === 0) return;
+
+        this.isRunning = true;
+        this.startedAt = Date.now();
+        this.timer = setInterval(() => {
+            this.evaluate().catch((error) => {
+                console.log('❌ Error evaluating alert rules:', error.message);
+            });
+        }, this.options.alertInterval);
+
+        console.log(`🚨 Evaluating ${this.rules.length} alert rules every ${this.options.alertInterval}ms`);
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.history = [];
+        this.alerts.clear();
+        this.alertsFiring.reset();
+    }
+
+    async evaluate(now = Date.now()) {
+        const sample = this._takeSample(await this.metricsCollector.getRegistry().getMetricsAsJSON(), now);
+        this.history.push(sample);
+
+        const maxWindow = Math.max(...this.rules.map(rule => rule.window)) * 1000;
+        while (this.history.length > 1 && now - this.history[1].time >= maxWindow) {
+            this.history.shift();
+        }
+
+        const seen = new Set();
+        this.rules.forEach((rule) => {
+            this._evaluateRule(rule, sample, now).forEach(({ labels, value }) => {
+                const key = `${rule.name}${KEY_SEP}${JSON.stringify(labels)}`;
+                seen.add(key);
+                this._setCondition(key, rule, labels, value, now);
+            });
+        });
+
+        // Series that disappeared (e.g. deleted nodes) resolve their alerts
+        for (const key of this.alerts.keys()) {
+            if (!seen.has(key)) {
+                this._resolve(key, null, now);
+            }
+        }
+
+        this._updateFiringGauge();
+    }
+
+    _takeSample(metrics, now) {
+        const byName = new Map(metrics.map(metric => [metric.name, metric]));
+        const sample = { time: now, flowErrors: new Map(), executionTime: new Map(), outgoing: new Map() };
+
+        (byName.get('nodered_flow_errors_total')?.values || []).forEach(({ labels, value }) => {
+            sample.flowErrors.set(labels.flow_id, { labels, value });
+        });
+
+        (byName.get('nodered_messages_outgoing_total')?.values || []).forEach(({ labels, value }) => {
+            sample.outgoing.set(nodeKey(labels), { labels, value });
+        });
+
+        const histogram = byName.get('nodered_node_execution_time_seconds');
+        if (histogram) {
+            groupSamples(histogram, 'le').forEach(({ labels, buckets }) => {
+                sample.executionTime.set(nodeKey(labels), { labels, buckets });
+            });
+        }
+
+        return sample;
+    }
+
+    /**
+     * The newest sample taken at least one window ago, or the oldest one
+     * while the history is shorter than the window. Rates and percentiles
+     * are computed against it.
+     */
+    _baseline(rule, now) {
+        let baseline = this.history[0];
+        for (const sample of this.history) {
+            if (now - sample.time < rule.window * 1000) break;
+            baseline = sample;
+        }
+        return baseline;
+    }
+
+    _matches(rule, labels) {
+        if (rule.flow && rule.flow !== labels.flow_id && rule.flow !== labels.flow_name) return false;
+        if (rule.node && rule.node !== labels.node_id && rule.node !== labels.node_name) return false;
+        if (rule.nodeType && rule.nodeType !== labels.node_type) return false;
+        return true;
+    }
+
+    _evaluateRule(rule, sample, now) {
+        const baseline = this._baseline(rule, now);
+        const elapsedMinutes = (sample.time - baseline.time) / 60000;
+        const results = [];
+
+        if (rule.type === 'error_rate') {
+            sample.flowErrors.forEach(({ labels, value }, flowId) => {
+                if (!this._matches(rule, labels)) return;
+                const previous = baseline.flowErrors.get(flowId)?.value || 0;
+                const rate = elapsedMinutes > 0 ? (value - previous) / elapsedMinutes : 0;
+                results.push({ labels: { flow_id: labels.flow_id, flow_name: labels.flow_name }, value: rate });
+            });
+        } else if (rule.type === 'execution_p95') {
+            sample.executionTime.forEach(({ labels, buckets }, key) => {
+                if (!this._matches(rule, labels)) return;
+                const previous = baseline !== sample ? baseline.executionTime.get(key)?.buckets || [] : [];
+                const windowBuckets = buckets.map(({ bound, value }, index) => ({
+                    bound,
+                    value: value - (previous[index]?.value || 0)
+                }));
+                const p95 = estimateQuantile(0.95, windowBuckets);
+                if (p95 !== null) {
+                    results.push({ labels: seriesLabels(labels), value: p95 });
+                }
+            });
+        } else if (rule.type === 'no_messages') {
+            const nodeRule = rule.node || rule.nodeType ? rule : { ...rule, nodeType: 'inject' };
+            this._nodesFor(nodeRule, sample).forEach((labels) => {
+                // Taken by node ID, as nodes that are not exported separately have no series of their own
+                const lastSent = this.metricsCollector.getLastSentTime(labels.node_id);
+                const since = lastSent !== null ? Math.max(lastSent, this.startedAt) : this.startedAt;
+                results.push({ labels: seriesLabels(labels), value: (now - since) / 60000 });
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Labels of every node a rule applies to: deployed nodes from the flow
+     * inventory, so nodes that never sent a message are included, plus
+     * nodes seen in the metrics.
+     */
+    _nodesFor(rule, sample) {
+        const nodes = new Map();
+        const inventory = this.metricsCollector.getFlowInventory();
+        if (inventory) {
+            inventory.nodes.forEach((node) => {
+                if (node.disabled) return;
+                const labels = {
+                    node_id: node.id,
+                    node_name: node.name || '',
+                    node_type: node.type,
+                    flow_id: node.flowId,
+                    flow_name: this.metricsCollector.resolveFlowName(node.flowId) || ''
+                };
+                if (this._matches(rule, labels)) {
+                    nodes.set(nodeKey(labels), labels);
+                }
+            });
+        }
+
+        sample.outgoing.forEach(({ labels }, key) => {
+            // Aggregated and overflow series stand for several nodes
+            if (AGGREGATE_IDS.has(labels.node_id)) return;
+            if (!nodes.has(key) && this._matches(rule, labels)) {
+                nodes.set(key, labels);
+            }
+        });
+
+        return nodes;
+    }
+
+    _setCondition(key, rule, labels, value, now) {
+        const breached = value > rule.threshold;
+        const alert = this.alerts.get(key);
+
+        if (!breached) {
+            this._resolve(key, value, now);
+            return;
+        }
+
+        if (!alert) {
+            this.alerts.set(key, {
+                rule: rule.name,
+                type: rule.type,
+                labels,
+                value,
+                threshold: rule.threshold,
+                status: 'pending',
+                activeSince: new Date(now).toISOString(),
+                startsAt: null,
+                endsAt: null
+            });
+        } else {
+            alert.value = value;
+        }
+
+        const current = this.alerts.get(key);
+        if (current.status === 'pending' && now - Date.parse(current.activeSince) >= rule.for * 1000) {
+            current.status = 'firing';
+            current.startsAt = new Date(now).toISOString();
+            this._notify(current);
+        }
+    }
+
+    _resolve(key, value, now) {
+        const alert = this.alerts.get(key);
+        if (!alert) return;
+
+        this.alerts.delete(key);
+        if (alert.status !== 'firing') return;
+
+        this._notify({
+            ...alert,
+            value: value !== null ? value : alert.value,
+            status: 'resolved',
+            endsAt: new Date(now).toISOString()
+        });
+    }
+
+    _notify(alert) {
+        if (this.options.enableDetailedLogging) {
+            console.log(`🚨 Alert ${alert.rule} ${alert.status}:`, alert.labels, `value ${alert.value}`);
+        }
+        this.emit('alert', { ...alert });
+    }
+
+    _updateFiringGauge() {
+        this.alertsFiring.reset();
+        this.rules.forEach(rule => this.alertsFiring.set({ rule: rule.name }, 0));
+        this.getAlerts().forEach(alert => this.alertsFiring.inc({ rule: alert.rule }));
+    }
+
+    /**
+     * Alerts that are currently firing.
+     */
+    getAlerts() {
+        return Array.from(this.alerts.values())
+            .filter(alert => alert.status === 'firing')
+            .map(alert => ({ ...alert }));
+    }
+
+    getRules() {
+        return this.rules.map(rule => ({ ...rule }));
+    }
+}
+
+function nodeKey(labels) {
+    return `${labels.node_id}${KEY_SEP}${labels.node_type}${KEY_SEP}${labels.flow_id}`;
+}
+
+function seriesLabels(labels) {
+    return {
+        node_id: labels.node_id,
+        node_name: labels.node_name,
+        node_type: labels.node_type,
+        flow_id: labels.flow_id,
+        flow_name: labels.flow_name
+    };
+}
+
+module.exports = AlertEngine;
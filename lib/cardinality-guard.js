@@ -0,0 +1,128 @@
+// Separator for composite map keys - chosen to never appear in Node-RED IDs or names
+const KEY_SEP = '\x00';
+
+const OVERFLOW = '__overflow__';
+
+class CardinalityGuard {
+    constructor(options = {}) {
+        this.options = {
+            enableDetailedLogging: false,
+            includeNodeTypes: [],
+            excludeNodeTypes: [],
+            includeFlows: [],
+            excludeFlows: [],
+            includeNamePattern: '',
+            excludeNamePattern: '',
+            aggregateByNodeType: false,
+            maxSeries: 0,
+            ...options
+        };
+
+        this.includeNodeTypes = new Set(this.options.includeNodeTypes);
+        this.excludeNodeTypes = new Set(this.options.excludeNodeTypes);
+        this.includeFlows = new Set(this.options.includeFlows);
+        this.excludeFlows = new Set(this.options.excludeFlows);
+        this.includeNamePattern = this._compilePattern(this.options.includeNamePattern);
+        this.excludeNamePattern = this._compilePattern(this.options.excludeNamePattern);
+
+        // Maps node key -> admitted identity, or null when the node is not instrumented
+        this.decisions = new Map();
+        // Distinct identities exported individually, counted against maxSeries
+        this.admitted = new Set();
+    }
+
+    _compilePattern(pattern) {
+        if (!pattern) return null;
+        try {
+            return new RegExp(pattern);
+        } catch (error) {
+            console.log(`⚠️ Ignoring invalid node name pattern "${pattern}": ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Whether a node matches the include/exclude rules. Each configured
+     * include list must match; any matching exclude rule drops the node.
+     */
+    isInstrumented(nodeType, flowId, nodeName) {
+        if (this.includeNodeTypes.size > 0 && !this.includeNodeTypes.has(nodeType)) return false;
+        if (this.includeFlows.size > 0 && !this.includeFlows.has(flowId)) return false;
+        if (this.includeNamePattern && !this.includeNamePattern.test(nodeName)) return false;
+
+        if (this.excludeNodeTypes.has(nodeType)) return false;
+        if (this.excludeFlows.has(flowId)) return false;
+        if (this.excludeNamePattern && this.excludeNamePattern.test(nodeName)) return false;
+
+        return true;
+    }
+
+    /**
+     * Map a node to the identity its series are exported under. Returns null
+     * for excluded nodes, the node type without node ID and name when
+     * aggregating, and a shared overflow identity once maxSeries is reached.
+     */
+    admit(nodeId, nodeName, nodeType, flowId) {
+        const key = `${nodeId}${KEY_SEP}${nodeType}${KEY_SEP}${flowId}`;
+        if (this.decisions.has(key)) {
+            return this.decisions.get(key);
+        }
+
+        let identity = null;
+        if (this.isInstrumented(nodeType, flowId, nodeName || '')) {
+            identity = this.options.aggregateByNodeType
+                ? { nodeId: '', nodeName: '', nodeType, flowId }
+                : { nodeId, nodeName, nodeType, flowId };
+
+            const identityKey = `${identity.nodeId}${KEY_SEP}${nodeType}${KEY_SEP}${flowId}`;
+            if (!this.admitted.has(identityKey)) {
+                if (this.options.maxSeries > 0 && this.admitted.size >= this.options.maxSeries) {
+                    identity = { nodeId: OVERFLOW, nodeName: '', nodeType: OVERFLOW, flowId: OVERFLOW };
+
+                    if (this.options.enableDetailedLogging) {
+                        console.log(`Series limit of ${this.options.maxSeries} reached, ${nodeType} (${nodeId}) goes to the overflow bucket`);
+                    }
+                } else {
+                    this.admitted.add(identityKey);
+                }
+            }
+        }
+
+        this.decisions.set(key, identity);
+        return identity;
+    }
+
+    /**
+     * Forget the decisions for nodes that are no longer deployed, freeing
+     * their slots under maxSeries.
+     */
+    forget(isStale) {
+        for (const [key, identity] of this.decisions) {
+            const [nodeId, nodeType, flowId] = key.split(KEY_SEP);
+            if (!isStale(nodeId, flowId)) continue;
+
+            this.decisions.delete(key);
+            if (identity && identity.nodeId === nodeId) {
+                this.admitted.delete(`${nodeId}${KEY_SEP}${nodeType}${KEY_SEP}${flowId}`);
+            }
+        }
+    }
+
+    /**
+     * Deployed nodes that are excluded or in the overflow bucket, counted
+     * from the current decisions so removed nodes no longer count.
+     */
+    getDroppedSeries() {
+        const dropped = { excluded: 0, limit: 0 };
+        this.decisions.forEach((identity) => {
+            if (!identity) {
+                dropped.excluded++;
+            } else if (identity.nodeId === OVERFLOW) {
+                dropped.limit++;
+            }
+        });
+        return dropped;
+    }
+}
+
+module.exports = CardinalityGuard;
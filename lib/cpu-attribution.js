@@ -0,0 +1,48 @@
+/**
+ * Approximates the CPU time each node uses by timing the synchronous part of
+ * its message handling: from `onReceive` until it completes, the next node
+ * receives a message, or the current event loop turn ends, whichever comes
+ * first. Time a node spends waiting on I/O is not counted; time spent in its
+ * callbacks later on is not attributed to it either.
+ */
+class CpuAttribution {
+    constructor(metricsCollector) {
+        this.metricsCollector = metricsCollector;
+        // The node whose input handler is running, if any
+        this.running = null;
+        this.closeScheduled = false;
+    }
+
+    begin(nodeId, nodeType, flowId, nodeName = '') {
+        // JavaScript runs one handler at a time, so a new receive ends the previous one
+        this.close();
+        this.running = { nodeId, nodeType, flowId, nodeName, start: process.hrtime.bigint() };
+
+        // Runs once the synchronous code of this turn has returned, before any promise callbacks of the handler
+        if (!this.closeScheduled) {
+            this.closeScheduled = true;
+            queueMicrotask(() => {
+                this.closeScheduled = false;
+                this.close();
+            });
+        }
+    }
+
+    end(nodeId) {
+        if (this.running && this.running.nodeId === nodeId) {
+            this.close();
+        }
+    }
+
+    close() {
+        if (!this.running) return;
+
+        const { nodeId, nodeType, flowId, nodeName, start } = this.running;
+        this.running = null;
+
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        this.metricsCollector.recordNodeCpuTime(nodeId, nodeType, flowId, seconds, nodeName);
+    }
+}
+
+module.exports = CpuAttribution;
@@ -0,0 +1,153 @@
+const promClient = require('prom-client');
+
+// Labels identifying the node that owns a custom series
+const OWNER_LABELS = ['node_id', 'node_name', 'flow_id', 'flow_name'];
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+const METRIC_TYPES = {
+    counter: promClient.Counter,
+    gauge: promClient.Gauge,
+    histogram: promClient.Histogram
+};
+
+/**
+ * Lets function nodes define their own counters, gauges and histograms in
+ * the collector's registry. Every series carries the labels of the node
+ * that wrote it, so it is removed with the node like the built-in series.
+ *
+ *     const metrics = RED.util.metrics.forNode(node);
+ *     metrics.counter('orders_processed_total', { labelNames: ['status'] }).inc({ status: 'ok' });
+ */
+class CustomMetrics {
+    constructor(metricsCollector, options = {}, persistence = null) {
+        this.metricsCollector = metricsCollector;
+        this.persistence = persistence;
+        this.options = {
+            enableDetailedLogging: false,
+            ...options
+        };
+
+        this.RED = null;
+        // Maps metric name -> { type, metric, labelNames }
+        this.metrics = new Map();
+    }
+
+    /**
+     * Expose the API to function nodes as RED.util.metrics.
+     */
+    install(RED) {
+        this.RED = RED;
+        if (RED.util) {
+            RED.util.metrics = { forNode: node => this.forNode(node) };
+        }
+    }
+
+    uninstall() {
+        if (this.RED && this.RED.util && this.RED.util.metrics) {
+            delete this.RED.util.metrics;
+        }
+        this.RED = null;
+    }
+
+    /**
+     * Return metric factories bound to a node. `node` is the `node` object
+     * of a function node, or any object with an `id`.
+     */
+    forNode(node) {
+        if (!node || !node.id) {
+            throw new Error('Custom metrics need the owning node, e.g. RED.util.metrics.forNode(node)');
+        }
+
+        const ownerLabels = () => {
+            const runtimeNode = this.RED?.nodes?.getNode ? this.RED.nodes.getNode(node.id) : null;
+            const flowId = node.z || runtimeNode?.z || String(node.path || '').split('/')[0] || '';
+            return {
+                node_id: node.id,
+                node_name: node.name || runtimeNode?.name || '',
+                flow_id: flowId,
+                flow_name: this.metricsCollector.resolveFlowName(flowId) || ''
+            };
+        };
+
+        const factory = type => (name, options = {}) => this._bind(this._getMetric(type, name, options), ownerLabels);
+        return {
+            counter: factory('counter'),
+            gauge: factory('gauge'),
+            histogram: factory('histogram')
+        };
+    }
+
+    _getMetric(type, name, options) {
+        if (!METRIC_NAME_PATTERN.test(name || '')) {
+            throw new Error(`Invalid metric name "${name}"`);
+        }
+
+        const existing = this.metrics.get(name);
+        if (existing) {
+            if (existing.type !== type) {
+                throw new Error(`Metric "${name}" is already defined as a ${existing.type}`);
+            }
+            return existing;
+        }
+
+        const labelNames = (options.labelNames || []).filter(label => !OWNER_LABELS.includes(label));
+        const config = {
+            name,
+            help: options.help || `Custom ${type} ${name}`,
+            labelNames: [...labelNames, ...OWNER_LABELS],
+            registers: [this.metricsCollector.getRegistry()]
+        };
+        if (type === 'histogram' && Array.isArray(options.buckets)) {
+            config.buckets = options.buckets;
+        }
+
+        // Throws if a built-in metric already uses the name
+        const entry = { type, metric: new METRIC_TYPES[type](config), labelNames };
+        this.metrics.set(name, entry);
+
+        // Values saved before a restart are restored on first use
+        if (this.persistence) {
+            this.persistence.restoreMetric(entry.metric);
+        }
+
+        if (this.options.enableDetailedLogging) {
+            console.log(`📊 Custom ${type} ${name} registered`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Wrap a metric so every update carries the owner labels. Methods accept
+     * prom-client's signatures: `inc()`, `inc(5)`, `inc({ status: 'ok' })`
+     * and `inc({ status: 'ok' }, 5)`.
+     */
+    _bind({ type, metric, labelNames }, ownerLabels) {
+        const update = (method, defaultValue) => (labelsOrValue, value) => {
+            const userLabels = typeof labelsOrValue === 'object' && labelsOrValue !== null ? labelsOrValue : {};
+            const amount = typeof labelsOrValue === 'number' ? labelsOrValue : value;
+
+            const labels = { ...ownerLabels() };
+            labelNames.forEach((label) => {
+                labels[label] = userLabels[label] !== undefined ? String(userLabels[label]) : '';
+            });
+
+            metric[method](labels, amount !== undefined ? amount : defaultValue);
+            this.metricsCollector.trackSeries(metric, labels);
+        };
+
+        if (type === 'counter') {
+            return { inc: update('inc', 1) };
+        }
+        if (type === 'gauge') {
+            return { set: update('set', 0), inc: update('inc', 1), dec: update('dec', 1) };
+        }
+        return { observe: update('observe', 0) };
+    }
+
+    getDefinitions() {
+        return Array.from(this.metrics.entries()).map(([name, { type, labelNames }]) => ({ name, type, labelNames }));
+    }
+}
+
+module.exports = CustomMetrics;
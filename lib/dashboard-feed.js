@@ -0,0 +1,99 @@
+const EventEmitter = require('events');
+const RingBuffer = require('./ring-buffer');
+
+/**
+ * Builds the samples of the built-in dashboard each time the metrics
+ * history takes a sample, and keeps those of the last hour in a ring
+ * buffer. Emits `sample` with each new sample.
+ */
+class DashboardFeed extends EventEmitter {
+    constructor(metricsCollector, metricsHistory, options = {}) {
+        super();
+        this.metricsCollector = metricsCollector;
+        this.metricsHistory = metricsHistory;
+        this.options = {
+            historyInterval: 10000,
+            dashboardHistorySeconds: 3600,
+            dashboardTopNodes: 10,
+            enableDetailedLogging: false,
+            ...options
+        };
+
+        this.samples = new RingBuffer(this.options.dashboardHistorySeconds * 1000 / this.options.historyInterval);
+        this.isRunning = false;
+
+        this.onHistorySample = () => {
+            this.sample().catch((error) => {
+                console.log('❌ Error sampling dashboard metrics:', error.message);
+            });
+        };
+    }
+
+    start() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.metricsHistory.on('sample', this.onHistorySample);
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        this.metricsHistory.removeListener('sample', this.onHistorySample);
+        this.samples.clear();
+    }
+
+    async sample() {
+        const snapshot = await this.metricsCollector.getSnapshot();
+
+        const nodes = [];
+        const flows = snapshot.flows.map((flow) => {
+            flow.nodes.forEach((node) => {
+                if (node.executionTime) {
+                    nodes.push({
+                        id: node.id,
+                        name: node.name,
+                        type: node.type,
+                        flowName: flow.name || flow.id,
+                        count: node.executionTime.count,
+                        average: node.executionTime.average,
+                        p95: node.executionTime.p95
+                    });
+                }
+            });
+
+            return {
+                id: flow.id,
+                name: flow.name,
+                incomingRate: flow.messagesIncomingPerSecond,
+                outgoingRate: flow.messagesOutgoingPerSecond,
+                errors: flow.errors
+            };
+        });
+
+        const sample = {
+            time: snapshot.timestamp,
+            flows,
+            slowestNodes: nodes
+                .sort((a, b) => b.average - a.average)
+                .slice(0, this.options.dashboardTopNodes),
+            errors: flows.reduce((total, flow) => total + flow.errors, 0),
+            memory: {
+                rss: snapshot.memory.rss || 0,
+                heapUsed: snapshot.memory.heapUsed || 0,
+                heapTotal: snapshot.memory.heapTotal || 0
+            }
+        };
+
+        this.samples.push(sample);
+        this.emit('sample', sample);
+        return sample;
+    }
+
+    getSamples() {
+        return this.samples.toArray();
+    }
+}
+
+module.exports = DashboardFeed;
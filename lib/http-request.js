@@ -0,0 +1,35 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * Send a request with a complete body and resolve once a 2xx response has
+ * been received. Any other status, a network error or the timeout rejects.
+ */
+function sendRequest(method, url, body, headers = {}, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const transport = target.protocol === 'https:' ? https : http;
+        const payload = Buffer.isBuffer(body) ? body : Buffer.from(body);
+
+        const req = transport.request(target, {
+            method,
+            headers: { ...headers, 'Content-Length': payload.length },
+            timeout
+        }, (res) => {
+            res.resume();
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve();
+                } else {
+                    reject(new Error(`${method} ${target.pathname} returned HTTP ${res.statusCode}`));
+                }
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error('Request timed out')));
+        req.on('error', reject);
+        req.end(payload);
+    });
+}
+
+module.exports = { sendRequest };
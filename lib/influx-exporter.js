@@ -0,0 +1,199 @@
+const os = require('os');
+const promClient = require('prom-client');
+const MqttClient = require('./mqtt-client');
+const { sendRequest } = require('./http-request');
+const { groupSamples } = require('./metric-samples');
+
+/**
+ * Periodically serializes the registry into InfluxDB line protocol and
+ * writes it to an Influx-compatible HTTP endpoint (`http`) or publishes it
+ * to an MQTT topic (`mqtt`).
+ */
+class InfluxExporter {
+    constructor(metricsCollector, options = {}) {
+        this.metricsCollector = metricsCollector;
+        this.options = {
+            influxMode: 'none',
+            influxUrl: '',
+            influxToken: '',
+            influxInterval: 15000,
+            influxTags: { host: os.hostname() },
+            influxTimeout: 10000,
+            mqttUrl: '',
+            mqttTopic: 'nodered/metrics',
+            mqttUsername: '',
+            mqttPassword: '',
+            mqttClientId: `node-red-metrics-${os.hostname()}`,
+            mqttRetain: false,
+            enableDetailedLogging: false,
+            ...options
+        };
+
+        this.timer = null;
+        this.isRunning = false;
+        this.isWriting = false;
+        this.mqttClient = null;
+
+        this.writesTotal = new promClient.Counter({
+            name: 'nodered_influx_writes_total',
+            help: 'Total number of line protocol snapshots written by target and result',
+            labelNames: ['target', 'result'],
+            registers: [this.metricsCollector.getRegistry()]
+        });
+    }
+
+    start() {
+        if (this.isRunning || this.options.influxMode === 'none') return;
+
+        const target = this.options.influxMode === 'mqtt' ? this.options.mqttUrl : this.options.influxUrl;
+        if (!target) {
+            console.log(`⚠️ ${this.options.influxMode === 'mqtt' ? 'MQTT' : 'InfluxDB'} export enabled without a URL, not exporting metrics`);
+            return;
+        }
+
+        if (this.options.influxMode === 'mqtt') {
+            if (!this._isValidMqttUrl(this.options.mqttUrl)) return;
+            this.mqttClient = new MqttClient(this.options.mqttUrl, {
+                clientId: this.options.mqttClientId,
+                username: this.options.mqttUsername,
+                password: this.options.mqttPassword
+            });
+        }
+
+        this.isRunning = true;
+        this.timer = setInterval(() => this.write(), this.options.influxInterval);
+
+        const destination = this.options.influxMode === 'mqtt' ? `${target} (${this.options.mqttTopic})` : target;
+        console.log(`📤 Writing line protocol metrics to ${destination} every ${this.options.influxInterval}ms`);
+    }
+
+    _isValidMqttUrl(url) {
+        let protocol;
+        try {
+            protocol = new URL(url).protocol;
+        } catch (error) {
+            console.log(`⚠️ Ignoring invalid MQTT URL "${url}": ${error.message}, not exporting metrics`);
+            return false;
+        }
+        if (protocol !== 'mqtt:' && protocol !== 'mqtts:') {
+            console.log(`⚠️ Ignoring MQTT URL "${url}": expected mqtt:// or mqtts://, not exporting metrics`);
+            return false;
+        }
+        return true;
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.mqttClient) {
+            this.mqttClient.end();
+            this.mqttClient = null;
+        }
+    }
+
+    async write() {
+        if (this.isWriting) return;
+
+        this.isWriting = true;
+        const target = this.options.influxMode;
+        try {
+            const metrics = await this.metricsCollector.getRegistry().getMetricsAsJSON();
+            const body = this.toLineProtocol(metrics, Date.now());
+
+            if (target === 'mqtt') {
+                if (!this.mqttClient.isConnected()) {
+                    await this.mqttClient.connect();
+                }
+                await this.mqttClient.publish(this.options.mqttTopic, body, this.options.mqttRetain);
+            } else {
+                const headers = { 'Content-Type': 'text/plain; charset=utf-8' };
+                if (this.options.influxToken) {
+                    headers.Authorization = `Token ${this.options.influxToken}`;
+                }
+                await sendRequest('POST', this.options.influxUrl, body, headers, this.options.influxTimeout);
+            }
+
+            this.writesTotal.inc({ target, result: 'success' });
+        } catch (error) {
+            this.writesTotal.inc({ target, result: 'failure' });
+
+            if (this.options.enableDetailedLogging) {
+                console.log(`❌ Writing line protocol metrics (${target}) failed:`, error.message);
+            }
+        } finally {
+            this.isWriting = false;
+        }
+    }
+
+    /**
+     * Serialize prom-client JSON metrics as line protocol, one line per
+     * series with the metric name as measurement. Counters and gauges have a
+     * `value` field; histograms and summaries have `count`, `sum` and one
+     * field per bucket (`le_0.5`, `le_inf`) or quantile (`quantile_0.99`).
+     */
+    toLineProtocol(metrics, timestamp) {
+        const timestampNs = `${timestamp}000000`;
+        const lines = [];
+
+        metrics.forEach((metric) => {
+            if (metric.type === 'histogram' || metric.type === 'summary') {
+                const boundLabel = metric.type === 'histogram' ? 'le' : 'quantile';
+                groupSamples(metric, boundLabel).forEach(({ labels, buckets, sum, count }) => {
+                    const fields = { count, sum };
+                    buckets.forEach(({ bound, value }) => {
+                        fields[`${boundLabel}_${bound === Infinity ? 'inf' : bound}`] = value;
+                    });
+                    lines.push(this.formatLine(metric.name, labels, fields, timestampNs));
+                });
+            } else {
+                metric.values.forEach((sample) => {
+                    lines.push(this.formatLine(metric.name, sample.labels, { value: sample.value }, timestampNs));
+                });
+            }
+        });
+
+        return lines.filter(line => line !== null).join('\n');
+    }
+
+    formatLine(measurement, labels, fields, timestampNs) {
+        const tags = { ...this.options.influxTags, ...labels };
+        // Line protocol has no empty tag values, and expects tags sorted by key
+        const tagSet = Object.keys(tags)
+            .filter(key => tags[key] !== '' && tags[key] !== undefined && tags[key] !== null)
+            .sort()
+            .map(key => `,${escapeKey(key)}=${escapeKey(String(tags[key]))}`)
+            .join('');
+
+        const fieldSet = Object.entries(fields)
+            .filter(([, value]) => Number.isFinite(Number(value)))
+            .map(([key, value]) => `${escapeKey(key)}=${Number(value)}`)
+            .join(',');
+
+        if (!fieldSet) return null;
+        return `${escapeMeasurement(measurement)}${tagSet} ${fieldSet} ${timestampNs}`;
+    }
+
+    getStatus() {
+        return {
+            mode: this.options.influxMode,
+            url: this.options.influxMode === 'mqtt' ? this.options.mqttUrl : this.options.influxUrl,
+            isRunning: this.isRunning,
+            mqttConnected: this.mqttClient ? this.mqttClient.isConnected() : false
+        };
+    }
+}
+
+function escapeMeasurement(value) {
+    return value.replace(/[, ]/g, '\\$&');
+}
+
+function escapeKey(value) {
+    return value.replace(/\n/g, ' ').replace(/[,= ]/g, '\\$&');
+}
+
+module.exports = InfluxExporter;
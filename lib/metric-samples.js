@@ -0,0 +1,63 @@
+/**
+ * Group the samples of a prom-client histogram or summary (from
+ * getMetricsAsJSON) into one point per label set. `boundLabel` is `le` for
+ * histograms and `quantile` for summaries; its samples become `buckets`,
+ * sorted by bound, with `+Inf` as Infinity.
+ */
+function groupSamples(metric, boundLabel) {
+    const points = new Map();
+
+    metric.values.forEach((sample) => {
+        const labels = { ...sample.labels };
+        const bound = labels[boundLabel];
+        delete labels[boundLabel];
+
+        const key = JSON.stringify(Object.entries(labels).sort());
+        if (!points.has(key)) {
+            points.set(key, { labels, buckets: [], sum: 0, count: 0 });
+        }
+        const point = points.get(key);
+
+        const metricName = sample.metricName || metric.name;
+        if (metricName.endsWith('_sum')) {
+            point.sum = Number(sample.value);
+        } else if (metricName.endsWith('_count')) {
+            point.count = Number(sample.value);
+        } else if (bound !== undefined) {
+            point.buckets.push({
+                bound: bound === '+Inf' ? Infinity : Number(bound),
+                value: Number(sample.value)
+            });
+        }
+    });
+
+    const result = Array.from(points.values());
+    result.forEach(point => point.buckets.sort((a, b) => a.bound - b.bound));
+    return result;
+}
+
+/**
+ * Estimate the q-quantile from cumulative histogram buckets by linear
+ * interpolation within the bucket it falls into, like Prometheus'
+ * histogram_quantile(). Returns null without observations.
+ */
+function estimateQuantile(q, buckets) {
+    const total = buckets.length > 0 ? buckets[buckets.length - 1].value : 0;
+    if (total === 0) return null;
+
+    const rank = q * total;
+    let lowerBound = 0;
+    let lowerCount = 0;
+    for (const { bound, value } of buckets) {
+        if (value >= rank) {
+            // Observations above the highest finite bucket cannot be placed
+            if (bound === Infinity) return lowerBound;
+            return lowerBound + (bound - lowerBound) * ((rank - lowerCount) / (value - lowerCount || 1));
+        }
+        lowerBound = bound;
+        lowerCount = value;
+    }
+    return lowerBound;
+}
+
+module.exports = { groupSamples, estimateQuantile };
@@ -1,18 +1,39 @@
+const EventEmitter = require('events');
 const promClient = require('prom-client');
+const CardinalityGuard = require('./cardinality-guard');
+const { groupSamples, estimateQuantile } = require('./metric-samples');
 
 // Separator for composite map keys - chosen to never appear in Node-RED IDs or names
 const KEY_SEP = '\x00';
 
-class MetricsCollector {
+// IDs that stand for aggregates rather than deployed nodes and are never removed as stale
+const PRESERVED_IDS = new Set(['', 'unknown', 'flow', '__overflow__']);
+
+const DEFAULT_EXECUTION_TIME_BUCKETS = [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5];
+
+/**
+ * Collects the runtime metrics into a prom-client registry. Every recorded
+ * message, error and execution is also emitted as a `messageIncoming`,
+ * `messageOutgoing`, `nodeError` or `nodeExecution` event with its labels,
+ * for emitters that mirror individual observations.
+ */
+class MetricsCollector extends EventEmitter {
     constructor(options = {}) {
+        super();
         this.options = {
             enableDetailedLogging: false,
             maxTimingEntries: 1000,
             collectInterval: 5000,
+            executionTimeBuckets: DEFAULT_EXECUTION_TIME_BUCKETS,
+            executionTimeBucketsByType: {},
+            executionTimeSummary: false,
+            summaryMaxAgeSeconds: 600,
+            summaryAgeBuckets: 5,
             ...options
         };
 
         this.register = new promClient.Registry();
+        this.cardinalityGuard = new CardinalityGuard(this.options);
 
         promClient.collectDefaultMetrics({ register: this.register });
 
@@ -52,35 +73,35 @@ class MetricsCollector {
         this.messagesIncomingTotal = new promClient.Counter({
             name: 'nodered_messages_incoming_total',
             help: 'Total number of incoming messages processed',
-            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id'],
+            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id', 'flow_name'],
             registers: [this.register]
         });
 
         this.messagesOutgoingTotal = new promClient.Counter({
             name: 'nodered_messages_outgoing_total',
             help: 'Total number of outgoing messages processed',
-            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id'],
+            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id', 'flow_name'],
             registers: [this.register]
         });
 
         this.messagesIncomingPerSecond = new promClient.Gauge({
             name: 'nodered_messages_incoming_per_second',
             help: 'Incoming messages processed per second',
-            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id'],
+            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id', 'flow_name'],
             registers: [this.register]
         });
 
         this.messagesOutgoingPerSecond = new promClient.Gauge({
             name: 'nodered_messages_outgoing_per_second',
             help: 'Outgoing messages processed per second',
-            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id'],
+            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id', 'flow_name'],
             registers: [this.register]
         });
 
         this.errorsTotal = new promClient.Counter({
             name: 'nodered_errors_total',
             help: 'Total number of errors per node',
-            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id', 'error_type'],
+            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id', 'flow_name', 'error_type'],
             registers: [this.register]
         });
 
@@ -88,15 +109,148 @@ class MetricsCollector {
         this.flowErrorsTotal = new promClient.Counter({
             name: 'nodered_flow_errors_total',
             help: 'Total number of errors per workflow (sum of node errors within the flow)',
-            labelNames: ['flow_id'],
+            labelNames: ['flow_id', 'flow_name'],
+            registers: [this.register]
+        });
+
+        // Approximate CPU time: synchronous time spent in a node's input handler
+        this.nodeCpuSeconds = new promClient.Counter({
+            name: 'nodered_node_cpu_seconds_total',
+            help: 'Approximate CPU time spent synchronously in a node handling messages',
+            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id', 'flow_name'],
+            registers: [this.register]
+        });
+
+        this.flowCpuSeconds = new promClient.Counter({
+            name: 'nodered_flow_cpu_seconds_total',
+            help: 'Approximate CPU time spent synchronously in the nodes of a flow handling messages',
+            labelNames: ['flow_id', 'flow_name'],
             registers: [this.register]
         });
 
         this.nodeExecutionTime = new promClient.Histogram({
             name: 'nodered_node_execution_time_seconds',
             help: 'Node execution time in seconds',
-            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id'],
-            buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5],
+            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id', 'flow_name'],
+            buckets: this.options.executionTimeBuckets,
+            registers: [this.register]
+        });
+
+        // prom-client fixes buckets per metric, so node types with their own
+        // buckets get a dedicated histogram next to the shared one
+        this.nodeTypeExecutionTime = new Map();
+        Object.entries(this.options.executionTimeBucketsByType || {}).forEach(([nodeType, buckets]) => {
+            const name = `nodered_${nodeType.replace(/[^a-zA-Z0-9]+/g, '_').toLowerCase()}_execution_time_seconds`;
+            // Types like "http request" and "http-request", or "node", map to a name already in use
+            if (this.register.getSingleMetric(name)) {
+                console.log(`⚠️ Ignoring execution time buckets for node type "${nodeType}": ${name} already exists`);
+                return;
+            }
+
+            this.nodeTypeExecutionTime.set(nodeType, new promClient.Histogram({
+                name,
+                help: `Execution time in seconds of ${nodeType} nodes, with buckets for that node type`,
+                labelNames: ['node_id', 'node_name', 'node_type', 'flow_id', 'flow_name'],
+                buckets,
+                registers: [this.register]
+            }));
+        });
+
+        this.nodeExecutionTimeSummary = null;
+        if (this.options.executionTimeSummary) {
+            this.nodeExecutionTimeSummary = new promClient.Summary({
+                name: 'nodered_node_execution_time_summary_seconds',
+                help: 'Node execution time quantiles in seconds over a sliding window',
+                labelNames: ['node_id', 'node_name', 'node_type', 'flow_id', 'flow_name'],
+                percentiles: [0.5, 0.9, 0.99],
+                maxAgeSeconds: this.options.summaryMaxAgeSeconds,
+                ageBuckets: this.options.summaryAgeBuckets,
+                registers: [this.register]
+            });
+        }
+
+        this.messagesInFlight = new promClient.Gauge({
+            name: 'nodered_node_messages_in_flight',
+            help: 'Number of messages received by a node that have not completed yet',
+            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id', 'flow_name'],
+            registers: [this.register]
+        });
+
+        this.messagesStuckTotal = new promClient.Counter({
+            name: 'nodered_messages_stuck_total',
+            help: 'Total number of messages that exceeded the stuck timeout without completing',
+            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id', 'flow_name'],
+            registers: [this.register]
+        });
+
+        this.payloadSize = new promClient.Histogram({
+            name: 'nodered_message_payload_size_bytes',
+            help: 'Estimated serialized size of msg.payload sent by a node in bytes (sampled)',
+            labelNames: ['node_id', 'node_name', 'node_type', 'flow_id', 'flow_name'],
+            buckets: [64, 256, 1024, 4096, 16384, 65536, 262144, 1048576, 4194304, 16777216],
+            registers: [this.register]
+        });
+
+        this.wireMessagesTotal = new promClient.Counter({
+            name: 'nodered_wire_messages_total',
+            help: 'Total number of messages sent along each wire between two nodes',
+            labelNames: ['source_node_id', 'source_port', 'destination_node_id', 'flow_id', 'flow_name'],
+            registers: [this.register]
+        });
+
+        const cardinalityGuard = this.cardinalityGuard;
+        this.droppedSeries = new promClient.Gauge({
+            name: 'nodered_metrics_dropped_series',
+            help: 'Number of nodes not exported individually, by reason (excluded by rules or over the series limit)',
+            labelNames: ['reason'],
+            registers: [this.register],
+            collect() {
+                const dropped = cardinalityGuard.getDroppedSeries();
+                this.set({ reason: 'excluded' }, dropped.excluded);
+                this.set({ reason: 'limit' }, dropped.limit);
+            }
+        });
+
+        this.messageLatency = new promClient.Histogram({
+            name: 'nodered_message_latency_seconds',
+            help: 'End-to-end message latency in seconds, from the entry node to the last completion of the message',
+            labelNames: ['entry_node_id', 'entry_node_name', 'entry_node_type', 'flow_id', 'flow_name'],
+            buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30],
+            registers: [this.register]
+        });
+
+        this.deploysTotal = new promClient.Counter({
+            name: 'nodered_deploys_total',
+            help: 'Total number of deploys by deploy type (full, flows, nodes)',
+            labelNames: ['type'],
+            registers: [this.register]
+        });
+
+        this.lastDeployTimestamp = new promClient.Gauge({
+            name: 'nodered_last_deploy_timestamp_seconds',
+            help: 'Unix time of the last deploy by deploy type',
+            labelNames: ['type'],
+            registers: [this.register]
+        });
+
+        this.flowsRestartDuration = new promClient.Histogram({
+            name: 'nodered_flows_restart_duration_seconds',
+            help: 'Time in seconds between flows stopping and flows started for a deploy',
+            labelNames: ['type'],
+            buckets: [0.01, 0.05, 0.1, 0.5, 1, 2, 5, 10, 30],
+            registers: [this.register]
+        });
+
+        this.flowsRevision = new promClient.Gauge({
+            name: 'nodered_flows_revision_info',
+            help: 'Revision hash of the currently deployed flows',
+            labelNames: ['revision'],
+            registers: [this.register]
+        });
+
+        this.nodesFailedToStart = new promClient.Gauge({
+            name: 'nodered_nodes_failed_to_start',
+            help: 'Number of deployed nodes that have no running instance after the last deploy',
             registers: [this.register]
         });
 
@@ -107,6 +261,40 @@ class MetricsCollector {
             registers: [this.register]
         });
 
+        this.subflowsTotal = new promClient.Gauge({
+            name: 'nodered_subflows_total',
+            help: 'Total number of subflow definitions',
+            registers: [this.register]
+        });
+
+        this.nodesIdle = new promClient.Gauge({
+            name: 'nodered_nodes_idle',
+            help: 'Number of deployed nodes that have not handled a message',
+            labelNames: ['type'],
+            registers: [this.register]
+        });
+
+        this.flowDisabled = new promClient.Gauge({
+            name: 'nodered_flow_disabled',
+            help: 'Whether a flow is disabled in the deployed configuration (1) or not (0)',
+            labelNames: ['flow_id', 'flow_name', 'flow_type'],
+            registers: [this.register]
+        });
+
+        this.flowNodesTotal = new promClient.Gauge({
+            name: 'nodered_flow_nodes_total',
+            help: 'Number of deployed nodes per flow',
+            labelNames: ['flow_id', 'flow_name'],
+            registers: [this.register]
+        });
+
+        this.flowNodesIdle = new promClient.Gauge({
+            name: 'nodered_flow_nodes_idle',
+            help: 'Number of deployed nodes per flow that have not handled a message',
+            labelNames: ['flow_id', 'flow_name'],
+            registers: [this.register]
+        });
+
         this.runtimeInfo = new promClient.Gauge({
             name: 'nodered_runtime_info',
             help: 'Runtime information',
@@ -120,6 +308,19 @@ class MetricsCollector {
         this.lastOutgoingMessageCounts = new Map();
         // Maps key -> { nodeId, nodeName, nodeType, flowId } for label lookups
         this.keyLabelCache = new Map();
+        // IDs of nodes that handled a message, including ones the cardinality guard does not export
+        this.trafficNodeIds = new Set();
+        // Maps node ID -> time it last sent a message, including nodes the cardinality guard does not export
+        this.lastSentAt = new Map();
+        // Maps source/port/destination key -> message count for the wire graph
+        this.wireMessageCounters = new Map();
+        // In-flight entries as last reported by NodeRedHooks, and node keys with a non-zero gauge
+        this.inFlightEntries = [];
+        this.inFlightKeys = new Set();
+        // Deployed configuration as read by NodeRedHooks; null until the first read
+        this.flowInventory = null;
+        // Maps metric -> Map(series key -> labels) for every labelled series written
+        this.trackedSeries = new Map();
     }
 
     _makeKey(nodeId, nodeType, flowId) {
@@ -141,52 +342,394 @@ class MetricsCollector {
         return this.keyLabelCache.get(key) || this._parseKey(key);
     }
 
+    /**
+     * Resolve the human-readable name of a flow: the tab label, or for nodes
+     * running inside a subflow instance, the instance or subflow name.
+     * Returns null when the flow is not part of the known inventory.
+     */
+    resolveFlowName(flowId) {
+        if (!this.flowInventory) return null;
+
+        const flow = this.flowInventory.flows.get(flowId);
+        if (flow) return flow.label;
+
+        const instance = this.flowInventory.nodes.get(flowId);
+        if (instance && instance.type.startsWith('subflow:')) {
+            const subflow = this.flowInventory.flows.get(instance.type.substring(8));
+            return instance.name || (subflow ? subflow.label : '');
+        }
+
+        return null;
+    }
+
+    _getFlowName(flowId, flowName = '') {
+        return flowName || this.resolveFlowName(flowId) || '';
+    }
+
+    _nodeLabels(nodeId, nodeName, nodeType, flowId, flowName = '') {
+        return {
+            node_id: nodeId,
+            node_name: nodeName || '',
+            node_type: nodeType,
+            flow_id: flowId,
+            flow_name: this._getFlowName(flowId, flowName)
+        };
+    }
+
+    _trackSeries(metric, labels) {
+        let series = this.trackedSeries.get(metric);
+        if (!series) {
+            series = new Map();
+            this.trackedSeries.set(metric, series);
+        }
+
+        const seriesKey = metric.labelNames.map(name => labels[name]).join(KEY_SEP);
+        if (!series.has(seriesKey)) {
+            series.set(seriesKey, labels);
+        }
+    }
+
+    /**
+     * Track a series of a metric registered outside the collector, so it is
+     * removed together with its node or flow like the built-in series.
+     */
+    trackSeries(metric, labels) {
+        this._trackSeries(metric, labels);
+    }
+
+    _removeSeries(predicate) {
+        let removed = 0;
+        for (const [metric, series] of this.trackedSeries) {
+            for (const [seriesKey, labels] of series) {
+                if (predicate(labels)) {
+                    metric.remove(labels);
+                    series.delete(seriesKey);
+                    removed++;
+                }
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Drop series whose flow_name no longer matches the deployed configuration,
+     * e.g. after a tab was renamed. Later samples are written under the new name.
+     */
+    _removeRenamedFlowSeries() {
+        return this._removeSeries((labels) => {
+            if (labels.flow_name === undefined) return false;
+            const flowName = this.resolveFlowName(labels.flow_id);
+            return flowName !== null && flowName !== labels.flow_name;
+        });
+    }
+
+    /**
+     * Map a node to the identity its series are exported under, as decided by
+     * the cardinality guard. Returns null when the node is not instrumented.
+     */
+    _admitNode(nodeId, nodeName, nodeType, flowId) {
+        return this.cardinalityGuard.admit(nodeId, nodeName || '', nodeType, flowId);
+    }
+
     recordIncomingMessage(nodeId, nodeType, flowId, nodeName = '') {
-        const key = this._makeKey(nodeId, nodeType, flowId);
-        this._cacheLabels(key, nodeId, nodeName, nodeType, flowId);
+        this.trafficNodeIds.add(nodeId);
+        const node = this._admitNode(nodeId, nodeName, nodeType, flowId);
+        if (!node) return;
+
+        const key = this._makeKey(node.nodeId, node.nodeType, node.flowId);
+        this._cacheLabels(key, node.nodeId, node.nodeName, node.nodeType, node.flowId);
 
         if (this.options.enableDetailedLogging) {
             console.log(`RecordIncomingMessage: ${nodeType} (${nodeId}) in flow ${flowId} - Current count: ${this.incomingMessageCounters.get(key) || 0}`);
         }
 
-        this.messagesIncomingTotal.inc({ node_id: nodeId, node_name: nodeName, node_type: nodeType, flow_id: flowId });
+        const labels = this._nodeLabels(node.nodeId, node.nodeName, node.nodeType, node.flowId);
+        this.messagesIncomingTotal.inc(labels);
+        this._trackSeries(this.messagesIncomingTotal, labels);
         this.incomingMessageCounters.set(key, (this.incomingMessageCounters.get(key) || 0) + 1);
+        this.emit('messageIncoming', labels);
     }
 
     recordOutgoingMessage(nodeId, nodeType, flowId, nodeName = '') {
-        const key = this._makeKey(nodeId, nodeType, flowId);
-        this._cacheLabels(key, nodeId, nodeName, nodeType, flowId);
+        this.trafficNodeIds.add(nodeId);
+        this.lastSentAt.set(nodeId, Date.now());
+        const node = this._admitNode(nodeId, nodeName, nodeType, flowId);
+        if (!node) return;
+
+        const key = this._makeKey(node.nodeId, node.nodeType, node.flowId);
+        this._cacheLabels(key, node.nodeId, node.nodeName, node.nodeType, node.flowId);
 
         if (this.options.enableDetailedLogging) {
             console.log(`RecordOutgoingMessage: ${nodeType} (${nodeId}) in flow ${flowId} - Current count: ${this.outgoingMessageCounters.get(key) || 0}`);
         }
 
-        this.messagesOutgoingTotal.inc({ node_id: nodeId, node_name: nodeName, node_type: nodeType, flow_id: flowId });
+        const labels = this._nodeLabels(node.nodeId, node.nodeName, node.nodeType, node.flowId);
+        this.messagesOutgoingTotal.inc(labels);
+        this._trackSeries(this.messagesOutgoingTotal, labels);
         this.outgoingMessageCounters.set(key, (this.outgoingMessageCounters.get(key) || 0) + 1);
+        this.emit('messageOutgoing', labels);
     }
 
-    recordError(nodeId, nodeType, flowId, errorType, nodeName = '') {
-        this.errorsTotal.inc({
-            node_id: nodeId,
-            node_name: nodeName,
-            node_type: nodeType,
+    recordError(nodeId, nodeType, flowId, errorType, nodeName = '', flowName = '') {
+        const node = this._admitNode(nodeId, nodeName, nodeType, flowId);
+        let labels = null;
+        if (node) {
+            labels = {
+                ...this._nodeLabels(node.nodeId, node.nodeName, node.nodeType, node.flowId, node.flowId === flowId ? flowName : ''),
+                error_type: errorType
+            };
+            this.errorsTotal.inc(labels);
+            this._trackSeries(this.errorsTotal, labels);
+        }
+
+        // Also increment the workflow-level error counter, whether or not the node is exported
+        const flowLabels = {
             flow_id: flowId,
-            error_type: errorType
-        });
+            flow_name: this._getFlowName(flowId, flowName)
+        };
+        this.flowErrorsTotal.inc(flowLabels);
+        this._trackSeries(this.flowErrorsTotal, flowLabels);
 
-        // Also increment the workflow-level error counter
-        this.flowErrorsTotal.inc({
-            flow_id: flowId
-        });
+        this.emit('nodeError', labels || { ...flowLabels, error_type: errorType });
+    }
+
+    recordNodeCpuTime(nodeId, nodeType, flowId, seconds, nodeName = '') {
+        const node = this._admitNode(nodeId, nodeName, nodeType, flowId);
+        if (node) {
+            const labels = this._nodeLabels(node.nodeId, node.nodeName, node.nodeType, node.flowId);
+            this.nodeCpuSeconds.inc(labels, seconds);
+            this._trackSeries(this.nodeCpuSeconds, labels);
+        }
+
+        // Flows are charged for every node, exported or not
+        const flowLabels = { flow_id: flowId, flow_name: this._getFlowName(flowId) };
+        this.flowCpuSeconds.inc(flowLabels, seconds);
+        this._trackSeries(this.flowCpuSeconds, flowLabels);
     }
 
     recordNodeExecution(nodeId, nodeType, flowId, duration, nodeName = '') {
-        this.nodeExecutionTime.observe({
-            node_id: nodeId,
-            node_name: nodeName,
-            node_type: nodeType,
-            flow_id: flowId
-        }, duration);
+        const node = this._admitNode(nodeId, nodeName, nodeType, flowId);
+        if (!node) return;
+
+        const labels = this._nodeLabels(node.nodeId, node.nodeName, node.nodeType, node.flowId);
+        this.nodeExecutionTime.observe(labels, duration);
+        this._trackSeries(this.nodeExecutionTime, labels);
+
+        const typeHistogram = this.nodeTypeExecutionTime.get(nodeType);
+        if (typeHistogram) {
+            typeHistogram.observe(labels, duration);
+            this._trackSeries(typeHistogram, labels);
+        }
+
+        if (this.nodeExecutionTimeSummary) {
+            this.nodeExecutionTimeSummary.observe(labels, duration);
+            this._trackSeries(this.nodeExecutionTimeSummary, labels);
+        }
+
+        this.emit('nodeExecution', labels, duration);
+    }
+
+    recordStuckMessage(nodeId, nodeType, flowId, nodeName = '') {
+        const node = this._admitNode(nodeId, nodeName, nodeType, flowId);
+        if (!node) return;
+
+        const labels = this._nodeLabels(node.nodeId, node.nodeName, node.nodeType, node.flowId);
+        this.messagesStuckTotal.inc(labels);
+        this._trackSeries(this.messagesStuckTotal, labels);
+    }
+
+    /**
+     * Set the per-node in-flight gauge from the entries currently held by
+     * NodeRedHooks. Nodes that drained since the last update are set to 0.
+     */
+    updateInFlightMessages(entries) {
+        const counts = new Map();
+        for (const entry of entries) {
+            const node = this._admitNode(entry.nodeId, entry.nodeName, entry.nodeType, entry.flowId);
+            if (!node) continue;
+
+            const key = this._makeKey(node.nodeId, node.nodeType, node.flowId);
+            const count = counts.get(key);
+            if (count) {
+                count.value++;
+            } else {
+                counts.set(key, { node, value: 1 });
+            }
+        }
+
+        for (const key of this.inFlightKeys) {
+            if (!counts.has(key)) {
+                const { nodeId, nodeName, nodeType, flowId } = this._getLabels(key);
+                const labels = this._nodeLabels(nodeId, nodeName, nodeType, flowId);
+                this.messagesInFlight.set(labels, 0);
+                this._trackSeries(this.messagesInFlight, labels);
+            }
+        }
+
+        for (const [key, { node, value }] of counts) {
+            this._cacheLabels(key, node.nodeId, node.nodeName, node.nodeType, node.flowId);
+            const labels = this._nodeLabels(node.nodeId, node.nodeName, node.nodeType, node.flowId);
+            this.messagesInFlight.set(labels, value);
+            this._trackSeries(this.messagesInFlight, labels);
+            this.inFlightKeys.add(key);
+        }
+
+        this.inFlightEntries = entries;
+    }
+
+    getStuckMessages() {
+        const now = Date.now();
+        return this.inFlightEntries
+            .filter(entry => entry.stuck)
+            .map(entry => ({
+                messageId: entry.messageId,
+                nodeId: entry.nodeId,
+                nodeName: entry.nodeName,
+                nodeType: entry.nodeType,
+                flowId: entry.flowId,
+                flowName: this._getFlowName(entry.flowId),
+                ageMs: now - entry.startTime
+            }));
+    }
+
+    recordPayloadSize(nodeId, nodeType, flowId, bytes, nodeName = '') {
+        const node = this._admitNode(nodeId, nodeName, nodeType, flowId);
+        if (!node) return;
+
+        const labels = this._nodeLabels(node.nodeId, node.nodeName, node.nodeType, node.flowId);
+        this.payloadSize.observe(labels, bytes);
+        this._trackSeries(this.payloadSize, labels);
+    }
+
+    /**
+     * Count a message sent along a wire. Whether the wire is exported follows
+     * the cardinality decision for its source node; wires are inherently
+     * per-node, so they are not recorded when aggregating by node type.
+     */
+    recordWireMessage(sourceNodeId, sourcePort, destinationNodeId, flowId, sourceNodeType = 'unknown', sourceNodeName = '') {
+        if (this.cardinalityGuard.options.aggregateByNodeType) return;
+
+        const node = this._admitNode(sourceNodeId, sourceNodeName, sourceNodeType, flowId);
+        if (!node) return;
+
+        // Over the series limit the source collapses into the overflow bucket, and so does the wire
+        const destination = node.nodeId === sourceNodeId ? destinationNodeId : node.nodeId;
+        const port = node.nodeId === sourceNodeId ? String(sourcePort) : '';
+        const labels = {
+            source_node_id: node.nodeId,
+            source_port: port,
+            destination_node_id: destination,
+            flow_id: node.flowId,
+            flow_name: this._getFlowName(node.flowId)
+        };
+        this.wireMessagesTotal.inc(labels);
+        this._trackSeries(this.wireMessagesTotal, labels);
+
+        const key = `${node.nodeId}${KEY_SEP}${port}${KEY_SEP}${destination}${KEY_SEP}${node.flowId}`;
+        this.wireMessageCounters.set(key, (this.wireMessageCounters.get(key) || 0) + 1);
+    }
+
+    /**
+     * Build a traffic-annotated graph of each flow: its nodes with message
+     * counts and its wires with the number of messages sent along them.
+     * Wires from the deployed configuration are included with zero traffic.
+     */
+    getWireGraph() {
+        const flows = new Map();
+        const getFlow = (flowId) => {
+            if (!flows.has(flowId)) {
+                const flow = this.flowInventory?.flows.get(flowId);
+                flows.set(flowId, {
+                    id: flowId,
+                    name: this._getFlowName(flowId),
+                    type: flow ? flow.type : 'unknown',
+                    disabled: flow ? flow.disabled : false,
+                    nodes: new Map(),
+                    wires: new Map()
+                });
+            }
+            return flows.get(flowId);
+        };
+        const getNode = (flowId, nodeId, nodeType = 'unknown', nodeName = '') => {
+            const nodes = getFlow(flowId).nodes;
+            if (!nodes.has(nodeId)) {
+                nodes.set(nodeId, { id: nodeId, type: nodeType, name: nodeName, messagesIncoming: 0, messagesOutgoing: 0 });
+            }
+            return nodes.get(nodeId);
+        };
+        const getWire = (flowId, source, port, destination) => {
+            const wires = getFlow(flowId).wires;
+            const key = `${source}${KEY_SEP}${port}${KEY_SEP}${destination}`;
+            if (!wires.has(key)) {
+                wires.set(key, { source, port: Number(port), destination, messages: 0 });
+            }
+            return wires.get(key);
+        };
+
+        if (this.flowInventory) {
+            for (const flow of this.flowInventory.flows.values()) {
+                getFlow(flow.id);
+            }
+            for (const node of this.flowInventory.nodes.values()) {
+                getNode(node.flowId, node.id, node.type, node.name);
+                (node.wires || []).forEach((destinations, port) => {
+                    destinations.forEach(destination => getWire(node.flowId, node.id, port, destination));
+                });
+            }
+        }
+
+        for (const [key, count] of this.incomingMessageCounters) {
+            const { nodeId, nodeName, nodeType, flowId } = this._getLabels(key);
+            getNode(flowId, nodeId, nodeType, nodeName).messagesIncoming += count;
+        }
+        for (const [key, count] of this.outgoingMessageCounters) {
+            const { nodeId, nodeName, nodeType, flowId } = this._getLabels(key);
+            getNode(flowId, nodeId, nodeType, nodeName).messagesOutgoing += count;
+        }
+        for (const [key, count] of this.wireMessageCounters) {
+            const [source, port, destination, flowId] = key.split(KEY_SEP);
+            getWire(flowId, source, port, destination).messages += count;
+        }
+
+        return {
+            timestamp: new Date().toISOString(),
+            flows: Array.from(flows.values()).map(flow => ({
+                ...flow,
+                nodes: Array.from(flow.nodes.values()),
+                wires: Array.from(flow.wires.values())
+            }))
+        };
+    }
+
+    recordMessageLatency(entryNodeId, entryNodeType, flowId, duration, entryNodeName = '') {
+        const node = this._admitNode(entryNodeId, entryNodeName, entryNodeType, flowId);
+        if (!node) return;
+
+        const labels = {
+            entry_node_id: node.nodeId,
+            entry_node_name: node.nodeName,
+            entry_node_type: node.nodeType,
+            flow_id: node.flowId,
+            flow_name: this._getFlowName(node.flowId)
+        };
+        this.messageLatency.observe(labels, duration);
+        this._trackSeries(this.messageLatency, labels);
+    }
+
+    recordDeploy(type, restartDuration, revision, failedNodes = []) {
+        this.deploysTotal.inc({ type });
+        this.lastDeployTimestamp.set({ type }, Date.now() / 1000);
+
+        if (restartDuration !== null && restartDuration !== undefined) {
+            this.flowsRestartDuration.observe({ type }, restartDuration);
+        }
+
+        if (revision) {
+            this.flowsRevision.reset();
+            this.flowsRevision.set({ revision }, 1);
+        }
+
+        this.nodesFailedToStart.set(failedNodes.length);
     }
 
     updateMemoryUsage(type, bytes) {
@@ -197,6 +740,86 @@ class MetricsCollector {
         this.runtimeInfo.set({ version, platform }, 1);
     }
 
+    /**
+     * Replace the deployed flow inventory. Once set, flow and node totals are
+     * reported from the runtime configuration instead of message traffic.
+     * @param {{flows: Map<string, Object>, nodes: Map<string, Object>}} inventory
+     */
+    updateFlowInventory(inventory) {
+        this.flowInventory = inventory;
+        this._removeRenamedFlowSeries();
+        this.updateMetricsFromRealData();
+    }
+
+    getFlowInventory() {
+        return this.flowInventory;
+    }
+
+    /**
+     * Time in milliseconds a node last sent a message, or null if it has not
+     * sent one. Known for every node, whether or not its series are exported.
+     */
+    getLastSentTime(nodeId) {
+        return this.lastSentAt.has(nodeId) ? this.lastSentAt.get(nodeId) : null;
+    }
+
+    /**
+     * Remove the series and tracked counts of nodes and flows that are no
+     * longer deployed. `isDeployed(id)` tells whether a node or flow ID exists.
+     * Returns the number of Prometheus series removed.
+     */
+    removeStaleSeries(isDeployed) {
+        const isStaleId = (id) => id !== undefined && !PRESERVED_IDS.has(id) && !isDeployed(id);
+        const isStale = (nodeId, flowId) => isStaleId(nodeId) || isStaleId(flowId);
+
+        const removed = this._removeSeries(labels =>
+            isStaleId(labels.node_id) ||
+            isStaleId(labels.source_node_id) ||
+            isStaleId(labels.destination_node_id) ||
+            isStaleId(labels.entry_node_id) ||
+            isStaleId(labels.flow_id)
+        );
+
+        for (const key of this.keyLabelCache.keys()) {
+            const { nodeId, flowId } = this._getLabels(key);
+            if (isStale(nodeId, flowId)) {
+                this.incomingMessageCounters.delete(key);
+                this.outgoingMessageCounters.delete(key);
+                this.lastIncomingMessageCounts.delete(key);
+                this.lastOutgoingMessageCounts.delete(key);
+                this.inFlightKeys.delete(key);
+                this.keyLabelCache.delete(key);
+            }
+        }
+
+        for (const key of this.wireMessageCounters.keys()) {
+            const [source, , destination, flowId] = key.split(KEY_SEP);
+            if (isStale(source, flowId) || isStaleId(destination)) {
+                this.wireMessageCounters.delete(key);
+            }
+        }
+
+        for (const nodeId of this.trafficNodeIds) {
+            if (isStaleId(nodeId)) {
+                this.trafficNodeIds.delete(nodeId);
+            }
+        }
+
+        for (const nodeId of this.lastSentAt.keys()) {
+            if (isStaleId(nodeId)) {
+                this.lastSentAt.delete(nodeId);
+            }
+        }
+
+        this.cardinalityGuard.forget(isStale);
+
+        if (removed > 0 && this.options.enableDetailedLogging) {
+            console.log(`🧹 Removed ${removed} series of nodes and flows no longer deployed`);
+        }
+
+        return removed;
+    }
+
     calculateMessagesPerSecond() {
         // Use actual interval seconds for rate calculation instead of hardcoded 5
         const intervalSeconds = this.options.collectInterval / 1000;
@@ -209,11 +832,10 @@ class MetricsCollector {
             const lastCount = this.lastIncomingMessageCounts.get(key) || 0;
             const rate = Math.max(0, currentCount - lastCount) / intervalSeconds;
 
-            const labels = this._getLabels(key);
-            this.messagesIncomingPerSecond.set({
-                node_id: labels.nodeId, node_name: labels.nodeName || '', node_type: labels.nodeType,
-                flow_id: labels.flowId
-            }, rate);
+            const { nodeId, nodeName, nodeType, flowId } = this._getLabels(key);
+            const labels = this._nodeLabels(nodeId, nodeName, nodeType, flowId);
+            this.messagesIncomingPerSecond.set(labels, rate);
+            this._trackSeries(this.messagesIncomingPerSecond, labels);
 
             this.lastIncomingMessageCounts.set(key, currentCount);
         }
@@ -222,17 +844,20 @@ class MetricsCollector {
             const lastCount = this.lastOutgoingMessageCounts.get(key) || 0;
             const rate = Math.max(0, currentCount - lastCount) / intervalSeconds;
 
-            const labels = this._getLabels(key);
-            this.messagesOutgoingPerSecond.set({
-                node_id: labels.nodeId, node_name: labels.nodeName || '', node_type: labels.nodeType,
-                flow_id: labels.flowId
-            }, rate);
+            const { nodeId, nodeName, nodeType, flowId } = this._getLabels(key);
+            const labels = this._nodeLabels(nodeId, nodeName, nodeType, flowId);
+            this.messagesOutgoingPerSecond.set(labels, rate);
+            this._trackSeries(this.messagesOutgoingPerSecond, labels);
 
             this.lastOutgoingMessageCounts.set(key, currentCount);
         }
     }
 
     calculateRealFlowMetrics() {
+        if (this.flowInventory) {
+            return this._calculateInventoryFlowMetrics();
+        }
+
         const uniqueFlows = new Set();
 
         for (const [key] of this.incomingMessageCounters) {
@@ -259,7 +884,35 @@ class MetricsCollector {
         };
     }
 
+    _calculateInventoryFlowMetrics() {
+        const flowIds = [];
+        let activeFlows = 0;
+        let totalSubflows = 0;
+
+        for (const flow of this.flowInventory.flows.values()) {
+            if (flow.type === 'subflow') {
+                totalSubflows++;
+                continue;
+            }
+            flowIds.push(flow.id);
+            if (!flow.disabled) {
+                activeFlows++;
+            }
+        }
+
+        return {
+            totalFlows: flowIds.length,
+            activeFlows,
+            totalSubflows,
+            flowIds
+        };
+    }
+
     calculateRealNodeMetrics() {
+        if (this.flowInventory) {
+            return this._calculateInventoryNodeMetrics();
+        }
+
         const nodeTypes = {};
         const activeNodeTypes = {};
         const uniqueNodes = new Set();
@@ -293,7 +946,74 @@ class MetricsCollector {
         };
     }
 
+    _calculateInventoryNodeMetrics() {
+        const trafficNodeIds = this.trafficNodeIds;
+        const nodeTypes = {};
+        const activeNodeTypes = {};
+        const idleNodeTypes = {};
+        const flowNodes = {};
+
+        for (const node of this.flowInventory.nodes.values()) {
+            const isActive = trafficNodeIds.has(node.id);
+            const counts = flowNodes[node.flowId] || (flowNodes[node.flowId] = { total: 0, idle: 0 });
+
+            nodeTypes[node.type] = (nodeTypes[node.type] || 0) + 1;
+            counts.total++;
+            if (isActive) {
+                activeNodeTypes[node.type] = (activeNodeTypes[node.type] || 0) + 1;
+            } else {
+                idleNodeTypes[node.type] = (idleNodeTypes[node.type] || 0) + 1;
+                counts.idle++;
+            }
+        }
+
+        return {
+            nodeTypes,
+            activeNodeTypes,
+            idleNodeTypes,
+            flowNodes,
+            totalNodes: this.flowInventory.nodes.size
+        };
+    }
+
+    _updateInventoryMetrics(flowMetrics, nodeMetrics) {
+        this.flowsTotal.set(flowMetrics.totalFlows);
+        this.flowsActive.set(flowMetrics.activeFlows);
+        this.subflowsTotal.set(flowMetrics.totalSubflows);
+
+        // Reset first so types and flows removed by a deploy stop being exported
+        this.nodesTotal.reset();
+        this.nodesActive.reset();
+        this.nodesIdle.reset();
+        Object.keys(nodeMetrics.nodeTypes).forEach(type => {
+            this.nodesTotal.set({ type }, nodeMetrics.nodeTypes[type]);
+            this.nodesActive.set({ type }, nodeMetrics.activeNodeTypes[type] || 0);
+            this.nodesIdle.set({ type }, nodeMetrics.idleNodeTypes[type] || 0);
+        });
+
+        this.flowDisabled.reset();
+        this.flowNodesTotal.reset();
+        this.flowNodesIdle.reset();
+        for (const flow of this.flowInventory.flows.values()) {
+            const counts = nodeMetrics.flowNodes[flow.id] || { total: 0, idle: 0 };
+            const flowLabels = { flow_id: flow.id, flow_name: flow.label };
+            this.flowDisabled.set({ ...flowLabels, flow_type: flow.type }, flow.disabled ? 1 : 0);
+            this.flowNodesTotal.set(flowLabels, counts.total);
+            this.flowNodesIdle.set(flowLabels, counts.idle);
+        }
+    }
+
     updateMetricsFromRealData() {
+        if (this.flowInventory) {
+            const flowMetrics = this.calculateRealFlowMetrics();
+            const nodeMetrics = this.calculateRealNodeMetrics();
+            this._updateInventoryMetrics(flowMetrics, nodeMetrics);
+            return {
+                flows: flowMetrics,
+                nodes: nodeMetrics
+            };
+        }
+
         const flowMetrics = this.calculateRealFlowMetrics();
         if (flowMetrics.totalFlows > 0) {
             this.flowsTotal.set(flowMetrics.totalFlows);
@@ -350,9 +1070,115 @@ class MetricsCollector {
         return this.register.metrics();
     }
 
+    /**
+     * Build a structured snapshot of per-flow and per-node message rates,
+     * counts, errors and execution time percentiles plus memory usage.
+     * `filter.flows` (IDs or names) and `filter.nodeTypes` restrict the
+     * flows and nodes included; empty lists include everything.
+     */
+    async getSnapshot(filter = {}) {
+        const flowFilter = filter.flows || [];
+        const typeFilter = filter.nodeTypes || [];
+        const metrics = await this.register.getMetricsAsJSON();
+        const byName = new Map(metrics.map(metric => [metric.name, metric]));
+
+        const includesFlow = labels => flowFilter.length === 0 ||
+            flowFilter.includes(labels.flow_id) || flowFilter.includes(labels.flow_name);
+        const includesNode = labels => includesFlow(labels) &&
+            (typeFilter.length === 0 || typeFilter.includes(labels.node_type));
+
+        const flows = new Map();
+        const getFlow = (labels) => {
+            if (!flows.has(labels.flow_id)) {
+                flows.set(labels.flow_id, {
+                    id: labels.flow_id,
+                    name: labels.flow_name || '',
+                    messagesIncoming: 0,
+                    messagesOutgoing: 0,
+                    messagesIncomingPerSecond: 0,
+                    messagesOutgoingPerSecond: 0,
+                    errors: 0,
+                    nodes: new Map()
+                });
+            }
+            return flows.get(labels.flow_id);
+        };
+        const getNode = (labels) => {
+            const flow = getFlow(labels);
+            const key = this._makeKey(labels.node_id, labels.node_type, labels.flow_id);
+            if (!flow.nodes.has(key)) {
+                flow.nodes.set(key, {
+                    id: labels.node_id,
+                    name: labels.node_name || '',
+                    type: labels.node_type,
+                    messagesIncoming: 0,
+                    messagesOutgoing: 0,
+                    messagesIncomingPerSecond: 0,
+                    messagesOutgoingPerSecond: 0,
+                    errors: 0,
+                    executionTime: null
+                });
+            }
+            return flow.nodes.get(key);
+        };
+
+        const nodeFields = {
+            nodered_messages_incoming_total: 'messagesIncoming',
+            nodered_messages_outgoing_total: 'messagesOutgoing',
+            nodered_messages_incoming_per_second: 'messagesIncomingPerSecond',
+            nodered_messages_outgoing_per_second: 'messagesOutgoingPerSecond',
+            nodered_errors_total: 'errors'
+        };
+        Object.entries(nodeFields).forEach(([name, field]) => {
+            (byName.get(name)?.values || []).forEach(({ labels, value }) => {
+                if (!includesNode(labels)) return;
+                getNode(labels)[field] += value;
+                if (field !== 'errors') {
+                    getFlow(labels)[field] += value;
+                }
+            });
+        });
+
+        (byName.get('nodered_flow_errors_total')?.values || []).forEach(({ labels, value }) => {
+            if (includesFlow(labels)) {
+                getFlow(labels).errors += value;
+            }
+        });
+
+        const executionTime = byName.get('nodered_node_execution_time_seconds');
+        if (executionTime) {
+            groupSamples(executionTime, 'le').forEach(({ labels, buckets, sum, count }) => {
+                if (!includesNode(labels) || count === 0) return;
+                getNode(labels).executionTime = {
+                    count,
+                    average: sum / count,
+                    p50: estimateQuantile(0.5, buckets),
+                    p95: estimateQuantile(0.95, buckets),
+                    p99: estimateQuantile(0.99, buckets)
+                };
+            });
+        }
+
+        const memory = {};
+        (byName.get('nodered_memory_usage_bytes')?.values || []).forEach(({ labels, value }) => {
+            memory[labels.type] = value;
+        });
+
+        return {
+            timestamp: Date.now(),
+            flows: Array.from(flows.values()).map(flow => ({
+                ...flow,
+                nodes: Array.from(flow.nodes.values())
+            })),
+            memory
+        };
+    }
+
     getRegistry() {
         return this.register;
     }
 }
 
+MetricsCollector.DEFAULT_EXECUTION_TIME_BUCKETS = DEFAULT_EXECUTION_TIME_BUCKETS;
+
 module.exports = MetricsCollector; 
\ No newline at end of file
@@ -0,0 +1,222 @@
+const EventEmitter = require('events');
+const RingBuffer = require('./ring-buffer');
+
+// prom-client's default process and Node.js metrics, left out unless asked for
+const PROCESS_METRIC_PREFIXES = ['process_', 'nodejs_'];
+
+// Separator for composite map keys - chosen to never appear in metric names or label values
+const KEY_SEP = '\x00';
+
+/**
+ * Keeps recent values of every counter and gauge series (and the `_count`
+ * and `_sum` of histograms) in memory: one point per interval for the last
+ * hour, and one point per downsample interval for the last day. Downsampled
+ * points hold the last value of counters and the average of gauges. At most
+ * `historyMaxSeries` series are kept. Emits `sample` after each sample; with
+ * `historyEnabled` off nothing is recorded, but the samples still pace the
+ * dashboard.
+ */
+class MetricsHistory extends EventEmitter {
+    constructor(metricsCollector, options = {}) {
+        super();
+        this.metricsCollector = metricsCollector;
+        this.options = {
+            historyInterval: 10000,
+            historyRetentionSeconds: 3600,
+            historyDownsampleInterval: 300000,
+            historyDownsampleRetentionSeconds: 86400,
+            historyEnabled: false,
+            historyIncludeProcessMetrics: false,
+            historyMaxSeries: 2000,
+            enableDetailedLogging: false,
+            ...options
+        };
+
+        this.rawCapacity = this.options.historyRetentionSeconds * 1000 / this.options.historyInterval;
+        this.downsampledCapacity = this.options.historyDownsampleRetentionSeconds * 1000 / this.options.historyDownsampleInterval;
+
+        // Maps metric name -> Map of series key -> series
+        this.metrics = new Map();
+        this.seriesCount = 0;
+        this.limitReported = false;
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    start() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.timer = setInterval(() => {
+            this.sample().catch((error) => {
+                console.log('❌ Error recording metrics history:', error.message);
+            });
+        }, this.options.historyInterval);
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.metrics.clear();
+        this.seriesCount = 0;
+        this.limitReported = false;
+    }
+
+    async sample(now = Date.now()) {
+        if (this.options.historyEnabled) {
+            await this._recordAll(now);
+        }
+        this.emit('sample', now);
+    }
+
+    async _recordAll(now) {
+        const metrics = await this.metricsCollector.getRegistry().getMetricsAsJSON();
+
+        metrics.forEach((metric) => {
+            if (!this.options.historyIncludeProcessMetrics &&
+                PROCESS_METRIC_PREFIXES.some(prefix => metric.name.startsWith(prefix))) return;
+
+            if (metric.type === 'counter' || metric.type === 'gauge') {
+                metric.values.forEach(({ labels, value }) => {
+                    this._record(metric.name, metric.type, labels, value, now);
+                });
+            } else if (metric.type === 'histogram') {
+                metric.values.forEach(({ metricName, labels, value }) => {
+                    // Buckets are left out; count and sum are enough for rates and averages
+                    if (metricName === `${metric.name}_count` || metricName === `${metric.name}_sum`) {
+                        this._record(metricName, 'counter', labels, value, now);
+                    }
+                });
+            }
+        });
+
+        this._expire(now);
+    }
+
+    _record(name, type, labels, value, now) {
+        let seriesByKey = this.metrics.get(name);
+        if (!seriesByKey) {
+            if (this.seriesCount >= this.options.historyMaxSeries) return;
+
+            seriesByKey = new Map();
+            this.metrics.set(name, seriesByKey);
+        }
+
+        const key = Object.keys(labels).sort().map(label => `${label}=${labels[label]}`).join(KEY_SEP);
+        let series = seriesByKey.get(key);
+        if (!series) {
+            if (this.seriesCount >= this.options.historyMaxSeries) {
+                if (!this.limitReported) {
+                    console.log(`⚠️ Metrics history is limited to ${this.options.historyMaxSeries} series, not recording new series`);
+                    this.limitReported = true;
+                }
+                return;
+            }
+
+            series = {
+                type,
+                labels: { ...labels },
+                raw: new RingBuffer(this.rawCapacity),
+                downsampled: new RingBuffer(this.downsampledCapacity),
+                bucket: null,
+                lastSeen: now
+            };
+            seriesByKey.set(key, series);
+            this.seriesCount++;
+        }
+
+        series.raw.push([now, value]);
+        series.lastSeen = now;
+        this._downsample(series, value, now);
+    }
+
+    _downsample(series, value, now) {
+        const bucketStart = now - (now % this.options.historyDownsampleInterval);
+        const bucket = series.bucket;
+
+        if (bucket && bucket.start !== bucketStart) {
+            const bucketValue = series.type === 'counter' ? bucket.last : bucket.sum / bucket.count;
+            series.downsampled.push([bucket.start, bucketValue]);
+            series.bucket = null;
+        }
+
+        if (!series.bucket) {
+            series.bucket = { start: bucketStart, sum: 0, count: 0, last: value };
+        }
+        series.bucket.sum += value;
+        series.bucket.count++;
+        series.bucket.last = value;
+    }
+
+    /**
+     * Forget series that have not been seen for longer than the history
+     * reaches back, e.g. of deleted nodes.
+     */
+    _expire(now) {
+        const maxAge = this.options.historyDownsampleRetentionSeconds * 1000;
+        this.metrics.forEach((seriesByKey, name) => {
+            seriesByKey.forEach((series, key) => {
+                if (now - series.lastSeen > maxAge) {
+                    seriesByKey.delete(key);
+                    this.seriesCount--;
+                }
+            });
+            if (seriesByKey.size === 0) {
+                this.metrics.delete(name);
+            }
+        });
+    }
+
+    /**
+     * Return the points of every series of `metric` whose labels match all of
+     * `labels` (exact values) between `start` and `end` (milliseconds). Ranges
+     * reaching back further than the raw history use the downsampled points,
+     * unless `resolution` is set to `raw` or `downsampled`.
+     */
+    query({ metric, labels = {}, start, end, resolution } = {}) {
+        const now = Date.now();
+        const to = Number.isFinite(end) ? end : now;
+        const from = Number.isFinite(start) ? start : to - this.options.historyRetentionSeconds * 1000;
+
+        const useRaw = resolution
+            ? resolution === 'raw'
+            : from >= now - this.options.historyRetentionSeconds * 1000;
+
+        const series = [];
+        (this.metrics.get(metric) || new Map()).forEach((entry) => {
+            const matches = Object.entries(labels).every(([label, value]) => String(entry.labels[label]) === String(value));
+            if (!matches) return;
+
+            const points = (useRaw ? entry.raw : entry.downsampled).toArray()
+                .filter(([time]) => time >= from && time <= to)
+                .map(([time, value]) => [time, value]);
+            if (!useRaw && entry.bucket && entry.bucket.start >= from && entry.bucket.start <= to) {
+                // The current, still filling bucket
+                points.push([entry.bucket.start, entry.type === 'counter' ? entry.bucket.last : entry.bucket.sum / entry.bucket.count]);
+            }
+            if (points.length > 0) {
+                series.push({ labels: { ...entry.labels }, points });
+            }
+        });
+
+        return {
+            metric,
+            start: from,
+            end: to,
+            resolution: useRaw ? 'raw' : 'downsampled',
+            step: useRaw ? this.options.historyInterval : this.options.historyDownsampleInterval,
+            series
+        };
+    }
+
+    getMetricNames() {
+        return Array.from(this.metrics.keys()).sort();
+    }
+}
+
+module.exports = MetricsHistory;
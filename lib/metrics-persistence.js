@@ -0,0 +1,228 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const promClient = require('prom-client');
+const { groupSamples } = require('./metric-samples');
+
+const STATE_VERSION = 1;
+const DEFAULT_FILE_NAME = 'flow-metrics-state.json';
+
+// prom-client's process and Node.js metrics describe the current process only
+const NON_PERSISTED_PREFIXES = ['process_', 'nodejs_'];
+// Runtime histograms of the current process, like the ones above
+const NON_PERSISTED_METRICS = new Set(['nodered_event_loop_delay_seconds', 'nodered_gc_pause_seconds']);
+
+function isPersisted(name) {
+    return !NON_PERSISTED_METRICS.has(name) && !NON_PERSISTED_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+/**
+ * Periodically saves counter and histogram state to a JSON file and adds it
+ * back on start, so counters keep growing across Node-RED restarts.
+ *
+ * Metrics that do not exist yet when the state is restored, such as custom
+ * metrics of function nodes, are restored when they are registered and kept
+ * in the file until then.
+ */
+class MetricsPersistence {
+    constructor(metricsCollector, options = {}) {
+        this.metricsCollector = metricsCollector;
+        this.options = {
+            persistenceEnabled: false,
+            persistenceFile: '',
+            persistenceInterval: 60000,
+            enableDetailedLogging: false,
+            ...options
+        };
+
+        this.file = null;
+        this.timer = null;
+        this.isRunning = false;
+        this.isSaving = false;
+        // Maps metric name -> saved state not restored yet
+        this.pending = new Map();
+
+        this.lastSnapshot = new promClient.Gauge({
+            name: 'nodered_metrics_last_persisted_timestamp_seconds',
+            help: 'Unix time of the last successful metrics state snapshot',
+            registers: [this.metricsCollector.getRegistry()]
+        });
+    }
+
+    /**
+     * Restore the saved state and start saving it periodically. The file
+     * defaults to the Node-RED user directory.
+     */
+    async start(userDir) {
+        if (this.isRunning || !this.options.persistenceEnabled) return;
+
+        this.file = this.options.persistenceFile ||
+            path.join(userDir || path.join(os.homedir(), '.node-red'), DEFAULT_FILE_NAME);
+
+        await this.restore();
+
+        this.isRunning = true;
+        this.timer = setInterval(() => this.save(), this.options.persistenceInterval);
+
+        console.log(`💾 Saving metrics state to ${this.file} every ${this.options.persistenceInterval}ms`);
+    }
+
+    /**
+     * Save a final snapshot and stop.
+     */
+    async stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        await this.save();
+    }
+
+    async restore() {
+        let state;
+        try {
+            state = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.log(`⚠️ Could not read metrics state from ${this.file}:`, error.message);
+            }
+            return;
+        }
+
+        if (!state || state.version !== STATE_VERSION || !state.metrics) {
+            console.log(`⚠️ Ignoring metrics state in ${this.file}: unsupported format`);
+            return;
+        }
+
+        Object.entries(state.metrics)
+            .filter(([name]) => isPersisted(name))
+            .forEach(([name, saved]) => this.pending.set(name, saved));
+
+        let restored = 0;
+        for (const name of Array.from(this.pending.keys())) {
+            const metric = this.metricsCollector.getRegistry().getSingleMetric(name);
+            if (metric && this.restoreMetric(metric)) {
+                restored++;
+            }
+        }
+
+        if (state.timestamp) {
+            this.lastSnapshot.set(state.timestamp / 1000);
+        }
+
+        console.log(`💾 Restored ${restored} metrics from ${this.file}`);
+    }
+
+    /**
+     * Add the saved state of a metric to it. Called for metrics registered
+     * after start, returns whether saved state was applied.
+     */
+    restoreMetric(metric) {
+        const saved = this.pending.get(metric.name);
+        if (!saved) return false;
+
+        this.pending.delete(metric.name);
+        if (saved.type !== metric.type) {
+            console.log(`⚠️ Not restoring ${metric.name}: saved as ${saved.type}, now a ${metric.type}`);
+            return false;
+        }
+
+        try {
+            if (metric.type === 'counter') {
+                saved.values.forEach(({ labels, value }) => {
+                    if (value > 0) {
+                        metric.inc(labels, value);
+                        this.metricsCollector.trackSeries(metric, labels);
+                    }
+                });
+            } else {
+                groupSamples(saved, 'le').forEach(point => this._restoreHistogram(metric, point));
+            }
+        } catch (error) {
+            // Labels of a metric can change between versions
+            console.log(`⚠️ Not restoring ${metric.name}:`, error.message);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * prom-client has no API to set histogram state, so the saved buckets
+     * are added to the series' internal values.
+     */
+    _restoreHistogram(metric, { labels, buckets, sum, count }) {
+        const bounds = buckets.filter(bucket => bucket.bound !== Infinity).map(bucket => bucket.bound);
+        if (bounds.join(',') !== metric.upperBounds.join(',')) {
+            throw new Error('histogram buckets have changed');
+        }
+
+        const findSeries = () => Object.values(metric.hashMap).find(value =>
+            Object.keys(labels).every(name => String(value.labels[name]) === String(labels[name])));
+        if (!findSeries()) {
+            metric.zero(labels);
+        }
+
+        const series = findSeries();
+        series.sum += sum;
+        series.count += count;
+
+        let previous = 0;
+        buckets.forEach(({ bound, value }) => {
+            if (bound !== Infinity) {
+                series.bucketValues[bound] += value - previous;
+                previous = value;
+            }
+        });
+
+        this.metricsCollector.trackSeries(metric, labels);
+    }
+
+    async save() {
+        if (this.isSaving || !this.file) return;
+
+        this.isSaving = true;
+        try {
+            const timestamp = Date.now();
+            const state = { version: STATE_VERSION, timestamp, metrics: {} };
+
+            const metrics = await this.metricsCollector.getRegistry().getMetricsAsJSON();
+            metrics.forEach((metric) => {
+                if (metric.type !== 'counter' && metric.type !== 'histogram') return;
+                if (!isPersisted(metric.name)) return;
+                state.metrics[metric.name] = { type: metric.type, values: metric.values };
+            });
+            // Keep state of metrics that were not registered again yet
+            this.pending.forEach((saved, name) => {
+                if (!state.metrics[name]) {
+                    state.metrics[name] = saved;
+                }
+            });
+
+            // Write to a temporary file first so a crash never leaves a truncated state
+            const temporaryFile = `${this.file}.tmp`;
+            await fs.promises.writeFile(temporaryFile, JSON.stringify(state));
+            await fs.promises.rename(temporaryFile, this.file);
+
+            this.lastSnapshot.set(timestamp / 1000);
+        } catch (error) {
+            console.log(`❌ Saving metrics state to ${this.file} failed:`, error.message);
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    getStatus() {
+        return {
+            enabled: this.options.persistenceEnabled,
+            file: this.file,
+            isRunning: this.isRunning,
+            pendingMetrics: this.pending.size
+        };
+    }
+}
+
+module.exports = MetricsPersistence;
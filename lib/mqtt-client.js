@@ -0,0 +1,173 @@
+const net = require('net');
+const tls = require('tls');
+
+const CONNACK_CODES = {
+    1: 'unacceptable protocol version',
+    2: 'client identifier rejected',
+    3: 'server unavailable',
+    4: 'bad user name or password',
+    5: 'not authorized'
+};
+
+/**
+ * Minimal MQTT 3.1.1 client that publishes QoS 0 messages, enough to hand
+ * metric snapshots to a broker without pulling in a full MQTT library.
+ */
+class MqttClient {
+    constructor(url, options = {}) {
+        this.url = new URL(url);
+        this.options = {
+            clientId: `node-red-metrics-${process.pid}`,
+            username: '',
+            password: '',
+            keepalive: 60,
+            connectTimeout: 10000,
+            ...options
+        };
+
+        this.socket = null;
+        this.connected = false;
+        this.pingTimer = null;
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const secure = this.url.protocol === 'mqtts:';
+            const port = Number(this.url.port) || (secure ? 8883 : 1883);
+            const host = this.url.hostname;
+
+            const socket = secure
+                ? tls.connect({ host, port, servername: host })
+                : net.connect({ host, port });
+            this.socket = socket;
+
+            let received = Buffer.alloc(0);
+            const timeout = setTimeout(() => socket.destroy(new Error('MQTT connect timed out')), this.options.connectTimeout);
+
+            const fail = (error) => {
+                clearTimeout(timeout);
+                this._reset();
+                reject(error);
+            };
+
+            socket.once('error', fail);
+            socket.once('close', () => fail(new Error('MQTT connection closed')));
+            socket.once(secure ? 'secureConnect' : 'connect', () => socket.write(this._connectPacket()));
+
+            const onData = (data) => {
+                received = Buffer.concat([received, data]);
+                if (received.length < 4) return;
+
+                clearTimeout(timeout);
+                socket.removeListener('data', onData);
+                socket.removeAllListeners('error');
+                socket.removeAllListeners('close');
+
+                if (received[0] !== 0x20 || received[3] !== 0) {
+                    const reason = CONNACK_CODES[received[3]] || 'unexpected response';
+                    socket.destroy();
+                    this._reset();
+                    reject(new Error(`MQTT connection refused: ${reason}`));
+                    return;
+                }
+
+                this.connected = true;
+                socket.on('error', () => this._reset());
+                socket.on('close', () => this._reset());
+                // Incoming packets (PINGRESP) need no handling
+                socket.on('data', () => {});
+
+                if (this.options.keepalive > 0) {
+                    this.pingTimer = setInterval(() => socket.write(Buffer.from([0xc0, 0x00])), this.options.keepalive * 500);
+                    this.pingTimer.unref();
+                }
+                resolve();
+            };
+            socket.on('data', onData);
+        });
+    }
+
+    publish(topic, payload, retain = false) {
+        if (!this.connected) {
+            return Promise.reject(new Error('MQTT client is not connected'));
+        }
+
+        const body = Buffer.concat([encodeString(topic), Buffer.isBuffer(payload) ? payload : Buffer.from(payload)]);
+        const packet = Buffer.concat([Buffer.from([0x30 | (retain ? 0x01 : 0x00)]), encodeLength(body.length), body]);
+
+        return new Promise((resolve, reject) => {
+            this.socket.write(packet, error => (error ? reject(error) : resolve()));
+        });
+    }
+
+    end() {
+        if (this.socket && this.connected) {
+            this.socket.end(Buffer.from([0xe0, 0x00]));
+        }
+        this._reset();
+    }
+
+    _reset() {
+        this.connected = false;
+        if (this.pingTimer) {
+            clearInterval(this.pingTimer);
+            this.pingTimer = null;
+        }
+        if (this.socket && !this.socket.writableEnded) {
+            this.socket.destroy();
+        }
+        this.socket = null;
+    }
+
+    _connectPacket() {
+        const { clientId, username, password, keepalive } = this.options;
+
+        let flags = 0x02; // clean session
+        const payload = [encodeString(clientId)];
+        if (username) {
+            flags |= 0x80;
+            payload.push(encodeString(username));
+            if (password) {
+                flags |= 0x40;
+                payload.push(encodeString(password));
+            }
+        }
+
+        const keepaliveBytes = Buffer.alloc(2);
+        keepaliveBytes.writeUInt16BE(keepalive);
+        const body = Buffer.concat([
+            encodeString('MQTT'),
+            Buffer.from([0x04, flags]),
+            keepaliveBytes,
+            ...payload
+        ]);
+
+        return Buffer.concat([Buffer.from([0x10]), encodeLength(body.length), body]);
+    }
+}
+
+function encodeString(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(bytes.length);
+    return Buffer.concat([length, bytes]);
+}
+
+// MQTT "remaining length": 7 bits per byte, least significant group first
+function encodeLength(length) {
+    const bytes = [];
+    let remaining = length;
+    do {
+        let byte = remaining % 128;
+        remaining = Math.floor(remaining / 128);
+        if (remaining > 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (remaining > 0);
+    return Buffer.from(bytes);
+}
+
+module.exports = MqttClient;
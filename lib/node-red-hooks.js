@@ -1,12 +1,21 @@
+const CpuAttribution = require('./cpu-attribution');
+
 class NodeRedHooks {
-    constructor(metricsCollector, options = {}) {
+    constructor(metricsCollector, options = {}, tracer = null) {
         this.metricsCollector = metricsCollector;
+        this.tracer = tracer;
         this.options = {
             enableDetailedLogging: false,
             maxTimingEntries: 1000,
             batchSize: 100,
             flushInterval: 1000,
             collectInterval: 5000,
+            measurePayloadSize: false,
+            payloadSampleRate: 0.1,
+            payloadSizeLimit: 1048576,
+            stuckMessageTimeout: 30000,
+            stuckMessageRetention: 300000,
+            removedSeriesGracePeriod: 0,
             ...options
         };
 
@@ -16,13 +25,22 @@ class NodeRedHooks {
         this.messageCount = 0;
         this.nodeExecutionTimes = new Map();
         this.messageStartTimes = new Map();
+        // Maps _msgid -> { entry node, startTime, pending deliveries } for end-to-end latency
+        this.messageTraces = new Map();
+        // Maps `${nodeId}_${msgid}` -> entry for messages received but not yet completed
+        this.inFlightMessages = new Map();
         this.registeredHooks = [];
+        this.cpuAttribution = new CpuAttribution(metricsCollector);
 
         this.messageBatch = [];
         this.batchTimer = null;
 
         this.cleanupTimer = null;
         this.startCleanupTimer();
+
+        this.staleSeriesTimers = new Set();
+        // Time the running flows began stopping for a deploy, used to time the restart
+        this.flowsStoppingAt = null;
     }
 
     /**
@@ -47,6 +65,7 @@ class NodeRedHooks {
             this.setupOfficialHooks();
             this.setupEventBasedHooks();
             this.hookIntoActiveNodes();
+            this.collectFlowInventory();
 
             this.startPeriodicUpdates();
 
@@ -96,6 +115,151 @@ class NodeRedHooks {
         if (removedCount > 0 && this.options.enableDetailedLogging) {
             console.log(`🧹 Cleaned up ${removedCount} expired timing entries`);
         }
+
+        this.cleanupMessageTraces(now, maxAge);
+    }
+
+    /**
+     * Flag in-flight messages that exceeded the stuck timeout without an
+     * onComplete and report per-node in-flight counts to the collector.
+     * Entries older than the retention period are forgotten, since nodes
+     * that never call done() would otherwise hold them forever.
+     */
+    checkInFlightMessages() {
+        const now = Date.now();
+        let removedCount = 0;
+
+        for (const [key, entry] of this.inFlightMessages) {
+            const age = now - entry.startTime;
+
+            if (age > this.options.stuckMessageRetention || this.inFlightMessages.size > this.options.maxTimingEntries) {
+                this.inFlightMessages.delete(key);
+                removedCount++;
+            } else if (!entry.stuck && age > this.options.stuckMessageTimeout) {
+                entry.stuck = true;
+                this.metricsCollector.recordStuckMessage(entry.nodeId, entry.nodeType, entry.flowId, entry.nodeName);
+
+                if (this.options.enableDetailedLogging) {
+                    console.log(`Message ${entry.messageId} stuck in ${entry.nodeType} (${entry.nodeId}) for ${age}ms`);
+                }
+            }
+        }
+
+        if (removedCount > 0 && this.options.enableDetailedLogging) {
+            console.log(`🧹 Forgot ${removedCount} in-flight messages past retention`);
+        }
+
+        this.metricsCollector.updateInFlightMessages(Array.from(this.inFlightMessages.values()));
+    }
+
+    cleanupMessageTraces(now, maxAge) {
+        let removedCount = 0;
+
+        // Map iteration follows insertion order, so the oldest traces come first
+        for (const [messageId, trace] of this.messageTraces) {
+            if (this.messageTraces.size > this.options.maxTimingEntries || now - trace.startTime > maxAge) {
+                this.messageTraces.delete(messageId);
+                removedCount++;
+            }
+        }
+
+        if (removedCount > 0 && this.options.enableDetailedLogging) {
+            console.log(`🧹 Cleaned up ${removedCount} unfinished message traces`);
+        }
+    }
+
+    /**
+     * Estimate the serialized size of a payload in bytes without serializing it.
+     * Walks objects iteratively and stops as soon as the estimate reaches
+     * `limit`, so huge payloads cost no more to measure than `limit` bytes.
+     */
+    _estimatePayloadSize(payload, limit) {
+        let size = 0;
+        const seen = new Set();
+        const stack = [payload];
+
+        while (stack.length > 0 && size < limit) {
+            const value = stack.pop();
+
+            if (value === null || value === undefined) {
+                size += 4;
+            } else if (typeof value === 'string') {
+                // UTF-8 needs at least one byte per character, so skip the exact count past the limit
+                size += value.length >= limit ? value.length : Buffer.byteLength(value) + 2;
+            } else if (typeof value === 'number' || typeof value === 'bigint') {
+                size += String(value).length;
+            } else if (typeof value === 'boolean') {
+                size += value ? 4 : 5;
+            } else if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) {
+                size += value.byteLength;
+            } else if (value instanceof ArrayBuffer) {
+                size += value.byteLength;
+            } else if (value instanceof Date) {
+                size += 26;
+            } else if (typeof value === 'object') {
+                if (seen.has(value)) continue;
+                seen.add(value);
+
+                if (Array.isArray(value)) {
+                    size += 2 + value.length;
+                    for (let i = 0; i < value.length; i++) {
+                        stack.push(value[i]);
+                    }
+                } else {
+                    const keys = Object.keys(value);
+                    size += 2 + keys.length;
+                    for (const key of keys) {
+                        size += key.length + 3;
+                        stack.push(value[key]);
+                    }
+                }
+            }
+        }
+
+        return Math.min(size, limit);
+    }
+
+    /**
+     * Count one more delivery of a message. The first send of a _msgid marks
+     * its entry node; every wire it is sent on (including clones at fan-out
+     * wires, which keep the same _msgid) adds a pending delivery.
+     */
+    _traceMessageSend(messageId, nodeId, nodeType, flowId, nodeName) {
+        let trace = this.messageTraces.get(messageId);
+        if (!trace) {
+            trace = {
+                entryNodeId: nodeId,
+                entryNodeType: nodeType,
+                entryNodeName: nodeName,
+                flowId,
+                startTime: Date.now(),
+                pending: 0
+            };
+            this.messageTraces.set(messageId, trace);
+        }
+        trace.pending++;
+    }
+
+    /**
+     * Settle one delivery of a message. When the last pending delivery has
+     * completed, the message has left the flow and its latency is recorded.
+     */
+    _traceMessageComplete(messageId) {
+        const trace = this.messageTraces.get(messageId);
+        if (!trace) return;
+
+        trace.pending--;
+        if (trace.pending > 0) return;
+
+        this.messageTraces.delete(messageId);
+        const latency = (Date.now() - trace.startTime) / 1000;
+        this.metricsCollector.recordMessageLatency(
+            trace.entryNodeId, trace.entryNodeType, trace.flowId, latency, trace.entryNodeName
+        );
+
+        if (this.options.enableDetailedLogging) {
+            console.log(`Message ${messageId} from ${trace.entryNodeType} (${trace.entryNodeId}) finished in ${(latency * 1000).toFixed(3)}ms`);
+        }
     }
 
     processBatch() {
@@ -183,6 +347,24 @@ class NodeRedHooks {
                 const timingKey = `${nodeId}_${messageId}`;
                 this.messageStartTimes.set(timingKey, Date.now());
 
+                if (sendEvent.msg?._msgid) {
+                    this._traceMessageSend(messageId, nodeId, nodeType, flowId, nodeName);
+                }
+
+                if (this.options.measurePayloadSize && Math.random() < this.options.payloadSampleRate) {
+                    const bytes = this._estimatePayloadSize(sendEvent.msg?.payload, this.options.payloadSizeLimit);
+                    this.metricsCollector.recordPayloadSize(nodeId, nodeType, flowId, bytes, nodeName);
+                }
+
+                const destinationId = sendEvent.destination?.id || sendEvent.destination?.node?.id;
+                if (this.tracer?.isEnabled() && sendEvent.msg?._msgid) {
+                    this.tracer.onSend(messageId, { nodeId, nodeName, nodeType, flowId }, destinationId, sendEvent.msg);
+                }
+
+                if (destinationId) {
+                    this.metricsCollector.recordWireMessage(nodeId, sendEvent.source?.port || 0, destinationId, flowId, nodeType, nodeName);
+                }
+
             } catch (error) {
                 this.metricsCollector.recordError(nodeId, nodeType, flowId, 'send_processing', nodeName);
                 if (this.options.enableDetailedLogging) {
@@ -212,8 +394,21 @@ class NodeRedHooks {
                 const timingKey = `${nodeId}_${messageId}`;
                 this.messageStartTimes.set(timingKey, Date.now());
 
+                if (receiveEvent.msg?._msgid) {
+                    this.inFlightMessages.set(timingKey, {
+                        messageId, nodeId, nodeType, flowId, nodeName, startTime: Date.now(), stuck: false
+                    });
+
+                    if (this.tracer?.isEnabled()) {
+                        this.tracer.onReceive(messageId, { nodeId, nodeName, nodeType, flowId }, receiveEvent.msg);
+                    }
+                }
+
                 this.addToBatch(nodeId, nodeType, flowId, 'receive', nodeName);
 
+                // Started last so the bookkeeping above is not charged to the node
+                this.cpuAttribution.begin(nodeId, nodeType, flowId, nodeName);
+
             } catch (error) {
                 this.metricsCollector.recordError(nodeId, nodeType, flowId, 'receive_processing', nodeName);
                 if (this.options.enableDetailedLogging) {
@@ -235,6 +430,8 @@ class NodeRedHooks {
             const nodeName = this._getNodeName(node);
             const messageId = completeEvent.msg?._msgid || 'unknown';
 
+            this.cpuAttribution.end(nodeId);
+
             if (this.options.enableDetailedLogging) {
                 console.log(`Node ${nodeType} "${nodeName}" (${nodeId}) completed processing`);
             }
@@ -254,6 +451,13 @@ class NodeRedHooks {
                     this.messageStartTimes.delete(timingKey);
                 }
 
+                this.inFlightMessages.delete(timingKey);
+                this._traceMessageComplete(messageId);
+
+                if (this.tracer?.isEnabled()) {
+                    this.tracer.onComplete(messageId, nodeId, completeEvent.error);
+                }
+
                 if (completeEvent.error) {
                     const errorType = completeEvent.error.name || 'execution';
                     this.metricsCollector.recordError(nodeId, nodeType, flowId, errorType, nodeName);
@@ -292,21 +496,34 @@ class NodeRedHooks {
                     }
                 });
 
-                this.RED.events.on('flows:started', () => {
+                this.RED.events.on('flows:started', (event) => {
                     if (this.options.enableDetailedLogging) {
                         console.log('Flows started event');
                     }
+                    this.collectFlowInventory(event?.config?.flows);
+                    this.scheduleStaleSeriesRemoval();
+                    this.recordDeploy(event);
                     setTimeout(() => {
                         this.collectFlowMetrics();
                         this.hookIntoActiveNodes();
                     }, 1000);
                 });
 
+                this.RED.events.on('flows:stopping', () => {
+                    this.flowsStoppingAt = Date.now();
+                });
+
                 this.RED.events.on('flows:stopped', () => {
                     if (this.options.enableDetailedLogging) {
                         console.log('Flows stopped event');
                     }
+                    // Older runtimes do not emit flows:stopping
+                    if (!this.flowsStoppingAt) {
+                        this.flowsStoppingAt = Date.now();
+                    }
                     this.messageStartTimes.clear();
+                    this.messageTraces.clear();
+                    this.inFlightMessages.clear();
                 });
 
                 this.RED.events.on('node-error', (event) => {
@@ -382,6 +599,7 @@ class NodeRedHooks {
                 this.collectFlowMetrics();
                 this.collectNodeTypeMetrics();
                 this.updateSystemMetrics();
+                this.checkInFlightMessages();
 
                 if (this.messageCount > 0) {
                     if (this.options.enableDetailedLogging) {
@@ -423,6 +641,157 @@ class NodeRedHooks {
         }
     }
 
+    /**
+     * Read the deployed configuration and hand the resulting inventory of
+     * tabs, subflows and nodes to the collector. Uses the config carried by
+     * the flows:started event when given, otherwise RED.nodes.eachNode().
+     */
+    collectFlowInventory(config) {
+        try {
+            const configNodes = Array.isArray(config) ? config : this._readRuntimeConfig();
+            if (!configNodes) {
+                if (this.options.enableDetailedLogging) {
+                    console.log('📊 Runtime flow configuration not available');
+                }
+                return;
+            }
+
+            const inventory = this._buildFlowInventory(configNodes);
+            this.metricsCollector.updateFlowInventory(inventory);
+
+            if (this.options.enableDetailedLogging) {
+                console.log(`📊 Flow inventory: ${inventory.flows.size} flows/subflows, ${inventory.nodes.size} nodes`);
+            }
+        } catch (error) {
+            console.log('❌ Error collecting flow inventory:', error.message);
+        }
+    }
+
+    /**
+     * Remove series of nodes and flows that a deploy removed. With a grace
+     * period the removal is delayed so a final scrape still sees the last values.
+     */
+    scheduleStaleSeriesRemoval() {
+        const removeStaleSeries = () => {
+            try {
+                if (!this.metricsCollector.getFlowInventory()) return;
+                this.metricsCollector.removeStaleSeries(id => this._isDeployed(id));
+            } catch (error) {
+                console.log('❌ Error removing stale series:', error.message);
+            }
+        };
+
+        if (this.options.removedSeriesGracePeriod > 0) {
+            const timer = setTimeout(() => {
+                this.staleSeriesTimers.delete(timer);
+                removeStaleSeries();
+            }, this.options.removedSeriesGracePeriod);
+            this.staleSeriesTimers.add(timer);
+        } else {
+            removeStaleSeries();
+        }
+    }
+
+    /**
+     * Record a deploy from a flows:started event: its type, how long the
+     * flows took to restart, the new flow revision and how many deployed
+     * nodes have no running instance.
+     */
+    recordDeploy(event) {
+        try {
+            const deployType = event?.type || 'unknown';
+            const duration = this.flowsStoppingAt ? (Date.now() - this.flowsStoppingAt) / 1000 : null;
+            this.flowsStoppingAt = null;
+
+            const failedNodes = this._findNodesFailedToStart();
+            this.metricsCollector.recordDeploy(deployType, duration, event?.config?.rev, failedNodes);
+
+            if (this.options.enableDetailedLogging) {
+                const restart = duration !== null ? ` restarted in ${(duration * 1000).toFixed(0)}ms` : '';
+                console.log(`🚀 Deploy (${deployType})${restart}, ${failedNodes.length} nodes failed to start`);
+            }
+        } catch (error) {
+            console.log('❌ Error recording deploy:', error.message);
+        }
+    }
+
+    _findNodesFailedToStart() {
+        const inventory = this.metricsCollector.getFlowInventory();
+        if (!inventory || typeof this.RED?.nodes?.getNode !== 'function') {
+            return [];
+        }
+
+        const failedNodes = [];
+        for (const node of inventory.nodes.values()) {
+            const flow = inventory.flows.get(node.flowId);
+            // Nodes inside subflow definitions only run as part of an instance, and junctions never run
+            if (node.disabled || !flow || flow.type !== 'tab' || node.type === 'junction') {
+                continue;
+            }
+            if (!this.RED.nodes.getNode(node.id)) {
+                failedNodes.push(node);
+            }
+        }
+        return failedNodes;
+    }
+
+    _isDeployed(id) {
+        const inventory = this.metricsCollector.getFlowInventory();
+        if (inventory && (inventory.flows.has(id) || inventory.nodes.has(id))) {
+            return true;
+        }
+
+        // Nodes inside subflow instances get runtime IDs that are not in the flow config
+        return typeof this.RED?.nodes?.getNode === 'function' && !!this.RED.nodes.getNode(id);
+    }
+
+    _readRuntimeConfig() {
+        if (!this.RED?.nodes || typeof this.RED.nodes.eachNode !== 'function') {
+            return null;
+        }
+
+        const configNodes = [];
+        this.RED.nodes.eachNode((configNode) => {
+            configNodes.push(configNode);
+        });
+        return configNodes;
+    }
+
+    _buildFlowInventory(configNodes) {
+        const flows = new Map();
+        const nodes = new Map();
+
+        configNodes.forEach((configNode) => {
+            if (configNode.type === 'tab' || configNode.type === 'subflow') {
+                flows.set(configNode.id, {
+                    id: configNode.id,
+                    type: configNode.type,
+                    label: configNode.type === 'tab' ? (configNode.label || '') : (configNode.name || ''),
+                    disabled: configNode.disabled === true
+                });
+            }
+        });
+
+        configNodes.forEach((configNode) => {
+            // Only wired flow nodes count; config nodes and groups have no wires
+            if (!configNode.z || !Array.isArray(configNode.wires) || flows.has(configNode.id)) {
+                return;
+            }
+
+            const flow = flows.get(configNode.z);
+            nodes.set(configNode.id, {
+                id: configNode.id,
+                type: configNode.type,
+                name: configNode.name || '',
+                flowId: configNode.z,
+                wires: configNode.wires,
+                disabled: configNode.d === true || (flow ? flow.disabled : false)
+            });
+        });
+
+        return { flows, nodes };
+    }
+
     collectFlowMetrics() {
         try {
             const realMetrics = this.metricsCollector.updateMetricsFromRealData();
@@ -499,9 +868,14 @@ class NodeRedHooks {
             this.batchTimer = null;
         }
 
+        this.staleSeriesTimers.forEach(timer => clearTimeout(timer));
+        this.staleSeriesTimers.clear();
+
         this.processBatch();
 
         this.messageStartTimes.clear();
+        this.messageTraces.clear();
+        this.inFlightMessages.clear();
         this.messageBatch = [];
 
         this.registeredHooks = [];
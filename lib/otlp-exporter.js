@@ -0,0 +1,247 @@
+const os = require('os');
+const promClient = require('prom-client');
+const { sendRequest } = require('./http-request');
+const { groupSamples } = require('./metric-samples');
+
+const AGGREGATION_TEMPORALITY_CUMULATIVE = 2;
+const DATA_POINT_FLAGS_NO_RECORDED_VALUE = 1;
+
+class OtlpExporter {
+    constructor(metricsCollector, options = {}) {
+        this.metricsCollector = metricsCollector;
+        this.options = {
+            otlpEnabled: false,
+            otlpEndpoint: '',
+            otlpInterval: 30000,
+            otlpHeaders: {},
+            otlpServiceName: 'node-red',
+            otlpServiceInstanceId: os.hostname(),
+            otlpTimeout: 10000,
+            enableDetailedLogging: false,
+            ...options
+        };
+
+        this.timer = null;
+        this.isRunning = false;
+        this.isExporting = false;
+        this.nodeRedVersion = '';
+        this.startTimeUnixNano = toUnixNano(Date.now());
+
+        this.exportsTotal = new promClient.Counter({
+            name: 'nodered_otlp_exports_total',
+            help: 'Total number of OTLP metric exports by result',
+            labelNames: ['result'],
+            registers: [this.metricsCollector.getRegistry()]
+        });
+    }
+
+    start(nodeRedVersion = '') {
+        if (this.isRunning || !this.options.otlpEnabled) return;
+
+        if (!this.options.otlpEndpoint) {
+            console.log('⚠️ OTLP export enabled without an endpoint, not exporting metrics');
+            return;
+        }
+
+        this.nodeRedVersion = nodeRedVersion;
+        this.isRunning = true;
+        this.timer = setInterval(() => this.export(), this.options.otlpInterval);
+
+        console.log(`📤 Exporting OTLP metrics to ${this.options.otlpEndpoint} every ${this.options.otlpInterval}ms`);
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async export() {
+        // A slow collector must not pile up concurrent requests
+        if (this.isExporting) return;
+
+        this.isExporting = true;
+        try {
+            const metrics = await this.metricsCollector.getRegistry().getMetricsAsJSON();
+            const body = JSON.stringify(this.buildExportRequest(metrics, Date.now()));
+
+            await sendRequest('POST', this.options.otlpEndpoint, body, {
+                ...this.options.otlpHeaders,
+                'Content-Type': 'application/json'
+            }, this.options.otlpTimeout);
+
+            this.exportsTotal.inc({ result: 'success' });
+        } catch (error) {
+            this.exportsTotal.inc({ result: 'failure' });
+
+            if (this.options.enableDetailedLogging) {
+                console.log('❌ OTLP metrics export failed:', error.message);
+            }
+        } finally {
+            this.isExporting = false;
+        }
+    }
+
+    getResourceAttributes() {
+        const attributes = {
+            'service.name': this.options.otlpServiceName,
+            'service.instance.id': this.options.otlpServiceInstanceId,
+            'process.runtime.name': 'nodejs',
+            'process.runtime.version': process.version.replace(/^v/, '')
+        };
+        if (this.nodeRedVersion) {
+            attributes['service.version'] = this.nodeRedVersion;
+            attributes['nodered.version'] = this.nodeRedVersion;
+        }
+        return toAttributes(attributes);
+    }
+
+    /**
+     * Convert prom-client JSON metrics into an OTLP/HTTP JSON
+     * ExportMetricsServiceRequest with cumulative temporality.
+     */
+    buildExportRequest(metrics, timestamp) {
+        const timeUnixNano = toUnixNano(timestamp);
+        const common = { startTimeUnixNano: this.startTimeUnixNano, timeUnixNano };
+
+        const otlpMetrics = metrics
+            .map(metric => this.convertMetric(metric, common))
+            .filter(metric => metric !== null);
+
+        return {
+            resourceMetrics: [{
+                resource: { attributes: this.getResourceAttributes() },
+                scopeMetrics: [{
+                    scope: { name: 'node-red-contrib-metrics-collector' },
+                    metrics: otlpMetrics
+                }]
+            }]
+        };
+    }
+
+    convertMetric(metric, common) {
+        const base = { name: metric.name, description: metric.help || '' };
+
+        switch (metric.type) {
+            case 'counter':
+                return {
+                    ...base,
+                    sum: {
+                        aggregationTemporality: AGGREGATION_TEMPORALITY_CUMULATIVE,
+                        isMonotonic: true,
+                        dataPoints: metric.values.map(sample => convertNumber(sample, common))
+                    }
+                };
+            case 'gauge':
+                return {
+                    ...base,
+                    gauge: {
+                        dataPoints: metric.values.map(sample => convertNumber(sample, common))
+                    }
+                };
+            case 'histogram':
+                return {
+                    ...base,
+                    histogram: {
+                        aggregationTemporality: AGGREGATION_TEMPORALITY_CUMULATIVE,
+                        dataPoints: convertHistogram(metric, common)
+                    }
+                };
+            case 'summary':
+                return {
+                    ...base,
+                    summary: { dataPoints: convertSummary(metric, common) }
+                };
+            default:
+                return null;
+        }
+    }
+
+    getStatus() {
+        return {
+            enabled: this.options.otlpEnabled,
+            endpoint: this.options.otlpEndpoint,
+            isRunning: this.isRunning
+        };
+    }
+}
+
+/**
+ * Convert a prom-client histogram into OTLP data points. Prometheus buckets
+ * are cumulative, OTLP bucket counts are not.
+ */
+function convertHistogram(metric, common) {
+    return groupSamples(metric, 'le').map(({ labels, buckets, sum, count }) => {
+        const explicitBounds = [];
+        const bucketCounts = [];
+        let previous = 0;
+        buckets.forEach(({ bound, value }) => {
+            if (bound !== Infinity) {
+                explicitBounds.push(bound);
+            }
+            bucketCounts.push(String(value - previous));
+            previous = value;
+        });
+
+        return {
+            ...common,
+            attributes: toAttributes(labels),
+            count: String(count),
+            sum,
+            bucketCounts,
+            explicitBounds
+        };
+    });
+}
+
+/**
+ * Convert a counter or gauge sample. JSON has no NaN or Infinity, and the
+ * collector rejects the `null` they turn into, so such values are sent as
+ * points without a recorded value.
+ */
+function convertNumber(sample, common) {
+    const value = Number(sample.value);
+    const point = { ...common, attributes: toAttributes(sample.labels) };
+    if (!Number.isFinite(value)) {
+        return { ...point, flags: DATA_POINT_FLAGS_NO_RECORDED_VALUE };
+    }
+    return { ...point, asDouble: value };
+}
+
+/**
+ * Convert a prom-client summary into OTLP data points. Quantiles of an empty
+ * window are NaN and are left out.
+ */
+function convertSummary(metric, common) {
+    return groupSamples(metric, 'quantile').map(({ labels, buckets, sum, count }) => {
+        const point = {
+            ...common,
+            attributes: toAttributes(labels),
+            count: String(count),
+            quantileValues: buckets
+                .filter(({ value }) => Number.isFinite(value))
+                .map(({ bound, value }) => ({ quantile: bound, value }))
+        };
+        if (!Number.isFinite(sum)) {
+            return { ...point, flags: DATA_POINT_FLAGS_NO_RECORDED_VALUE };
+        }
+        return { ...point, sum };
+    });
+}
+
+function toAttributes(labels = {}) {
+    return Object.entries(labels).map(([key, value]) => ({
+        key,
+        value: { stringValue: String(value) }
+    }));
+}
+
+function toUnixNano(milliseconds) {
+    return `${milliseconds}000000`;
+}
+
+module.exports = OtlpExporter;
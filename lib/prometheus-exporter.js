@@ -1,29 +1,74 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const net = require('net');
+const path = require('path');
 const express = require('express');
 
 class PrometheusExporter {
-    constructor(metricsCollector, options = {}) {
+    constructor(metricsCollector, options = {}, alertEngine = null, dashboardFeed = null, metricsHistory = null) {
         this.metricsCollector = metricsCollector;
+        this.alertEngine = alertEngine;
+        this.dashboardFeed = dashboardFeed;
+        this.metricsHistory = metricsHistory;
         this.options = {
             host: '0.0.0.0',
             port: 1881,
             metricsRoute: '/metrics',
             jsonRoute: '/metrics/json',
+            wiresRoute: '/metrics/wires',
+            stuckRoute: '/metrics/stuck',
+            historyRoute: '/metrics/history',
+            alertsRoute: '/alerts',
+            dashboardRoute: '/flow-metrics/dashboard',
             healthRoute: '/health',
+            serverMode: 'standalone',
+            username: '',
+            password: '',
+            bearerToken: '',
+            tlsCertPath: '',
+            tlsKeyPath: '',
+            ipAllowlist: [],
             enableDetailedLogging: false,
             ...options
         };
 
+        this.allowedAddresses = this._buildAllowlist(this.options.ipAllowlist);
+
         this.app = express();
+        this.router = express.Router();
         this.server = null;
         this.isRunning = false;
+        // Node-RED HTTP apps the router has been mounted on, and the auth they require
+        this.mountedApps = new Set();
+        this.authMiddleware = null;
+        // Open Server-Sent Events responses of dashboard pages
+        this.eventClients = new Set();
 
         this.app.disable('x-powered-by');
 
+        if (this.dashboardFeed) {
+            this.dashboardPage = fs.readFileSync(path.join(__dirname, 'dashboard.html'), 'utf8');
+            this.dashboardFeed.on('sample', sample => this._broadcast('sample', sample));
+        }
+
         this.setupRoutes();
     }
 
     setupRoutes() {
-        this.app.get(this.options.metricsRoute, async (req, res) => {
+        // A router mounted on Node-RED's own HTTP server cannot be removed again,
+        // so the routes pass requests on while the exporter is stopped
+        const serveWhenRunning = (req, res, next) => {
+            if (!this.isRunning) {
+                next('route');
+            } else if (this.authMiddleware) {
+                this.authMiddleware(req, res, next);
+            } else {
+                next();
+            }
+        };
+
+        this.router.get(this.options.metricsRoute, serveWhenRunning, async (req, res) => {
             try {
                 const startTime = Date.now();
                 const metrics = await this.metricsCollector.getMetrics();
@@ -41,7 +86,7 @@ class PrometheusExporter {
             }
         });
 
-        this.app.get(this.options.jsonRoute, async (req, res) => {
+        this.router.get(this.options.jsonRoute, serveWhenRunning, async (req, res) => {
             try {
                 const startTime = Date.now();
                 const registry = this.metricsCollector.getRegistry();
@@ -59,12 +104,114 @@ class PrometheusExporter {
             }
         });
 
-        this.app.get(this.options.healthRoute, (req, res) => {
+        this.router.get(this.options.wiresRoute, serveWhenRunning, (req, res) => {
+            try {
+                const startTime = Date.now();
+                res.json(this.metricsCollector.getWireGraph());
+
+                if (this.options.enableDetailedLogging) {
+                    const duration = Date.now() - startTime;
+                    console.log(`🔀 Wire graph request served in ${duration}ms`);
+                }
+            } catch (error) {
+                console.error('❌ Error getting wire graph:', error.message);
+                res.status(500).json({ error: 'Error getting wire graph' });
+            }
+        });
+
+        this.router.get(this.options.stuckRoute, serveWhenRunning, (req, res) => {
+            try {
+                const stuckMessages = this.metricsCollector.getStuckMessages();
+
+                res.json({
+                    timestamp: new Date().toISOString(),
+                    count: stuckMessages.length,
+                    messages: stuckMessages
+                });
+
+                if (this.options.enableDetailedLogging) {
+                    console.log(`⏳ Stuck messages requested: ${stuckMessages.length} stuck`);
+                }
+            } catch (error) {
+                console.error('❌ Error getting stuck messages:', error.message);
+                res.status(500).json({ error: 'Error getting stuck messages' });
+            }
+        });
+
+        if (this.metricsHistory) {
+            this.router.get(this.options.historyRoute, serveWhenRunning, (req, res) => {
+                try {
+                    const { metric, start, end, resolution, ...labels } = req.query;
+                    if (!metric) {
+                        res.status(400).json({
+                            error: 'The metric query parameter is required',
+                            metrics: this.metricsHistory.getMetricNames()
+                        });
+                        return;
+                    }
+
+                    const query = {
+                        metric: String(metric),
+                        labels,
+                        start: parseTime(start),
+                        end: parseTime(end),
+                        resolution
+                    };
+                    if (Number.isNaN(query.start) || Number.isNaN(query.end)) {
+                        res.status(400).json({ error: 'start and end must be Unix timestamps or ISO 8601 dates' });
+                        return;
+                    }
+                    if (resolution !== undefined && resolution !== 'raw' && resolution !== 'downsampled') {
+                        res.status(400).json({ error: 'resolution must be raw or downsampled' });
+                        return;
+                    }
+
+                    res.json(this.metricsHistory.query(query));
+                } catch (error) {
+                    console.error('❌ Error querying metrics history:', error.message);
+                    res.status(500).json({ error: 'Error querying metrics history' });
+                }
+            });
+        }
+
+        this.router.get(this.options.alertsRoute, serveWhenRunning, (req, res) => {
+            try {
+                const alerts = this.alertEngine ? this.alertEngine.getAlerts() : [];
+
+                res.json({
+                    timestamp: new Date().toISOString(),
+                    count: alerts.length,
+                    alerts,
+                    rules: this.alertEngine ? this.alertEngine.getRules() : []
+                });
+            } catch (error) {
+                console.error('❌ Error getting alerts:', error.message);
+                res.status(500).json({ error: 'Error getting alerts' });
+            }
+        });
+
+        if (this.dashboardFeed) {
+            this.router.get(this.options.dashboardRoute, serveWhenRunning, (req, res) => {
+                res.type('html').send(this.dashboardPage);
+            });
+
+            this.router.get(`${this.options.dashboardRoute}/events`, serveWhenRunning, (req, res) => {
+                try {
+                    this._openEventStream(req, res);
+                } catch (error) {
+                    console.error('❌ Error opening dashboard event stream:', error.message);
+                    res.status(500).json({ error: 'Error opening event stream' });
+                }
+            });
+        }
+
+        this.router.get(this.options.healthRoute, serveWhenRunning, (req, res) => {
             const healthData = {
                 status: 'ok',
                 timestamp: new Date().toISOString(),
                 metricsCollector: this.metricsCollector ? 'running' : 'stopped',
                 server: {
+                    mode: this.options.serverMode,
                     host: this.options.host,
                     port: this.options.port,
                     uptime: process.uptime()
@@ -72,6 +219,11 @@ class PrometheusExporter {
                 endpoints: {
                     metrics: this.options.metricsRoute,
                     json: this.options.jsonRoute,
+                    wires: this.options.wiresRoute,
+                    stuck: this.options.stuckRoute,
+                    history: this.metricsHistory ? this.options.historyRoute : null,
+                    alerts: this.options.alertsRoute,
+                    dashboard: this.dashboardFeed ? this.options.dashboardRoute : null,
                     health: this.options.healthRoute
                 }
             };
@@ -83,12 +235,22 @@ class PrometheusExporter {
             }
         });
 
+        // Access control applies to the standalone server only; when mounted,
+        // Node-RED's own authentication guards the routes
+        this.app.use((req, res, next) => this.checkAccess(req, res, next));
+        this.app.use(this.router);
+
         this.app.use((req, res, next) => {
             res.status(404).json({
                 error: 'Endpoint not found',
                 availableEndpoints: [
                     this.options.metricsRoute,
                     this.options.jsonRoute,
+                    this.options.wiresRoute,
+                    this.options.stuckRoute,
+                    ...(this.metricsHistory ? [this.options.historyRoute] : []),
+                    this.options.alertsRoute,
+                    ...(this.dashboardFeed ? [this.options.dashboardRoute] : []),
                     this.options.healthRoute
                 ]
             });
@@ -100,6 +262,129 @@ class PrometheusExporter {
         });
     }
 
+    /**
+     * Stream dashboard samples as Server-Sent Events: the buffered history
+     * first, then every new sample.
+     */
+    _openEventStream(req, res) {
+        req.socket.setTimeout(0);
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+
+        this._sendEvent(res, 'history', {
+            historySeconds: this.dashboardFeed.options.dashboardHistorySeconds,
+            samples: this.dashboardFeed.getSamples()
+        });
+
+        this.eventClients.add(res);
+        req.on('close', () => this.eventClients.delete(res));
+    }
+
+    _sendEvent(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    _broadcast(event, data) {
+        this.eventClients.forEach(res => this._sendEvent(res, event, data));
+    }
+
+    _closeEventStreams() {
+        this.eventClients.forEach(res => res.end());
+        this.eventClients.clear();
+    }
+
+    _buildAllowlist(entries) {
+        const list = (entries || []).filter(entry => entry);
+        if (list.length === 0) return null;
+
+        const blockList = new net.BlockList();
+        list.forEach(entry => {
+            const [address, prefix] = entry.split('/');
+            const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+            const maxPrefix = type === 'ipv6' ? 128 : 32;
+            if (!net.isIP(address)) {
+                console.log(`⚠️ Ignoring invalid IP allowlist entry "${entry}"`);
+            } else if (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix)) {
+                console.log(`⚠️ Ignoring IP allowlist entry "${entry}": prefix must be 0-${maxPrefix}`);
+            } else if (prefix !== undefined) {
+                blockList.addSubnet(address, Number(prefix), type);
+            } else {
+                blockList.addAddress(address, type);
+            }
+        });
+        return blockList;
+    }
+
+    _isAddressAllowed(remoteAddress) {
+        if (!this.allowedAddresses) return true;
+        if (!remoteAddress) return false;
+
+        // IPv4 clients of a dual-stack server show up as IPv4-mapped IPv6 addresses
+        const address = remoteAddress.startsWith('::ffff:') && net.isIPv4(remoteAddress.substring(7))
+            ? remoteAddress.substring(7)
+            : remoteAddress;
+        return this.allowedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+    }
+
+    _safeEqual(actual, expected) {
+        // Compare digests so the comparison takes the same time whatever the lengths
+        const actualDigest = crypto.createHash('sha256').update(String(actual)).digest();
+        const expectedDigest = crypto.createHash('sha256').update(String(expected)).digest();
+        return crypto.timingSafeEqual(actualDigest, expectedDigest);
+    }
+
+    _isAuthorized(authorization) {
+        const basicEnabled = !!(this.options.username && this.options.password);
+        const bearerEnabled = !!this.options.bearerToken;
+        if (!basicEnabled && !bearerEnabled) return true;
+        if (!authorization) return false;
+
+        const [scheme, credentials = ''] = authorization.split(' ');
+        if (basicEnabled && scheme.toLowerCase() === 'basic') {
+            const decoded = Buffer.from(credentials, 'base64').toString();
+            const separator = decoded.indexOf(':');
+            if (separator === -1) return false;
+
+            // Evaluate both so a wrong username costs as much as a wrong password
+            const usernameMatches = this._safeEqual(decoded.substring(0, separator), this.options.username);
+            const passwordMatches = this._safeEqual(decoded.substring(separator + 1), this.options.password);
+            return usernameMatches && passwordMatches;
+        }
+        if (bearerEnabled && scheme.toLowerCase() === 'bearer') {
+            return this._safeEqual(credentials, this.options.bearerToken);
+        }
+        return false;
+    }
+
+    checkAccess(req, res, next) {
+        if (!this._isAddressAllowed(req.socket?.remoteAddress)) {
+            if (this.options.enableDetailedLogging) {
+                console.log(`🚫 Rejected request from ${req.socket?.remoteAddress}: not in IP allowlist`);
+            }
+            res.status(403).json({ error: 'Forbidden' });
+            return;
+        }
+
+        if (!this._isAuthorized(req.headers.authorization)) {
+            if (this.options.username && this.options.password) {
+                res.set('WWW-Authenticate', 'Basic realm="Node-RED metrics"');
+            } else {
+                res.set('WWW-Authenticate', 'Bearer');
+            }
+            res.status(401).json({ error: 'Unauthorized' });
+            return;
+        }
+
+        next();
+    }
+
+    isTlsEnabled() {
+        return !!(this.options.tlsCertPath && this.options.tlsKeyPath);
+    }
+
     start(host = 'localhost', port = 1881, metricsRoute = '/metrics', jsonRoute = '/metrics/json', healthRoute = '/health') {
         return new Promise((resolve, reject) => {
             if (this.isRunning) {
@@ -117,20 +402,40 @@ class PrometheusExporter {
             this.options.healthRoute = healthRoute;
 
             try {
-                this.server = this.app.listen(port, host, () => {
+                const onListening = () => {
                     this.isRunning = true;
 
                     if (this.options.enableDetailedLogging) {
+                        const protocol = this.isTlsEnabled() ? 'https' : 'http';
                         console.log(`🚀 Prometheus exporter started:`);
                         console.log(`   Host: ${host}`);
                         console.log(`   Port: ${port}`);
-                        console.log(`   Metrics: http://${host}:${port}${metricsRoute}`);
-                        console.log(`   JSON: http://${host}:${port}${jsonRoute}`);
-                        console.log(`   Health: http://${host}:${port}${healthRoute}`);
+                        console.log(`   Metrics: ${protocol}://${host}:${port}${metricsRoute}`);
+                        console.log(`   JSON: ${protocol}://${host}:${port}${jsonRoute}`);
+                        console.log(`   Wires: ${protocol}://${host}:${port}${this.options.wiresRoute}`);
+                        console.log(`   Stuck: ${protocol}://${host}:${port}${this.options.stuckRoute}`);
+                        if (this.metricsHistory) {
+                            console.log(`   History: ${protocol}://${host}:${port}${this.options.historyRoute}`);
+                        }
+                        console.log(`   Alerts: ${protocol}://${host}:${port}${this.options.alertsRoute}`);
+                        if (this.dashboardFeed) {
+                            console.log(`   Dashboard: ${protocol}://${host}:${port}${this.options.dashboardRoute}`);
+                        }
+                        console.log(`   Health: ${protocol}://${host}:${port}${healthRoute}`);
                     }
 
                     resolve();
-                });
+                };
+
+                if (this.isTlsEnabled()) {
+                    const tlsOptions = {
+                        cert: fs.readFileSync(this.options.tlsCertPath),
+                        key: fs.readFileSync(this.options.tlsKeyPath)
+                    };
+                    this.server = https.createServer(tlsOptions, this.app).listen(port, host, onListening);
+                } else {
+                    this.server = this.app.listen(port, host, onListening);
+                }
 
                 this.server.on('error', (error) => {
                     if (error.code === 'EADDRINUSE') {
@@ -151,8 +456,49 @@ class PrometheusExporter {
         });
     }
 
+    /**
+     * Serve the routes from one of Node-RED's own HTTP apps (RED.httpAdmin or
+     * RED.httpNode) instead of a separate port, so they share its TLS and
+     * authentication settings. `authMiddleware` guards each route if given.
+     */
+    mount(httpApp, mode = 'admin', authMiddleware = null) {
+        if (this.isRunning) {
+            if (this.options.enableDetailedLogging) {
+                console.log('🔄 Prometheus exporter already running');
+            }
+            return;
+        }
+
+        this.options.serverMode = mode;
+        this.authMiddleware = authMiddleware;
+
+        if (!this.mountedApps.has(httpApp)) {
+            httpApp.use(this.router);
+            this.mountedApps.add(httpApp);
+        }
+
+        this.isRunning = true;
+
+        if (this.options.enableDetailedLogging) {
+            console.log(`🚀 Prometheus exporter mounted on Node-RED ${mode} HTTP server:`);
+            console.log(`   Metrics: ${this.options.metricsRoute}`);
+            console.log(`   JSON: ${this.options.jsonRoute}`);
+            console.log(`   Health: ${this.options.healthRoute}`);
+        }
+    }
+
     stop() {
+        // Open event streams would keep the server from closing
+        this._closeEventStreams();
+
         return new Promise((resolve, reject) => {
+            if (this.isRunning && !this.server) {
+                // Mounted on a Node-RED HTTP app: the routes stop serving once not running
+                this.isRunning = false;
+                resolve();
+                return;
+            }
+
             if (!this.isRunning || !this.server) {
                 if (this.options.enableDetailedLogging) {
                     console.log('🔄 Prometheus exporter not running');
@@ -191,15 +537,37 @@ class PrometheusExporter {
     getServerInfo() {
         return {
             isRunning: this.isRunning,
+            mode: this.options.serverMode,
+            tls: this.isTlsEnabled(),
             host: this.options.host,
             port: this.options.port,
             endpoints: {
                 metrics: this.options.metricsRoute,
                 json: this.options.jsonRoute,
+                wires: this.options.wiresRoute,
+                stuck: this.options.stuckRoute,
+                history: this.metricsHistory ? this.options.historyRoute : null,
+                alerts: this.options.alertsRoute,
+                dashboard: this.dashboardFeed ? this.options.dashboardRoute : null,
                 health: this.options.healthRoute
             }
         };
     }
 }
 
+/**
+ * Parse a query time: Unix seconds or milliseconds, or an ISO 8601 date.
+ * Returns undefined when absent and NaN when invalid.
+ */
+function parseTime(value) {
+    if (value === undefined || value === '') return undefined;
+
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+        // Anything below 1e11 is too small to be milliseconds since 1973
+        return number < 1e11 ? number * 1000 : number;
+    }
+    return Date.parse(String(value));
+}
+
 module.exports = PrometheusExporter; 
\ No newline at end of file
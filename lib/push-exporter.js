@@ -0,0 +1,223 @@
+const os = require('os');
+const promClient = require('prom-client');
+const { sendRequest } = require('./http-request');
+
+const MAX_BACKOFF = 60000;
+
+class PushExporter {
+    constructor(metricsCollector, options = {}) {
+        this.metricsCollector = metricsCollector;
+        this.options = {
+            pushMode: 'none',
+            pushUrl: '',
+            pushInterval: 15000,
+            pushJobName: 'node-red',
+            pushGroupingLabels: { instance: os.hostname() },
+            pushMaxBufferSize: 100,
+            pushTimeout: 10000,
+            enableDetailedLogging: false,
+            ...options
+        };
+
+        this.timer = null;
+        this.isRunning = false;
+        this.isPushing = false;
+        // Snapshots waiting to be sent, oldest first
+        this.buffer = [];
+        this.backoff = 0;
+        this.nextAttemptAt = 0;
+
+        const registry = this.metricsCollector.getRegistry();
+        this.pushesTotal = new promClient.Counter({
+            name: 'nodered_push_total',
+            help: 'Total number of metric pushes by result',
+            labelNames: ['mode', 'result'],
+            registers: [registry]
+        });
+
+        this.pushBufferSize = new promClient.Gauge({
+            name: 'nodered_push_buffered_snapshots',
+            help: 'Number of metric snapshots buffered while the push target is unreachable',
+            registers: [registry]
+        });
+    }
+
+    start() {
+        if (this.isRunning || this.options.pushMode === 'none') return;
+
+        if (!this.options.pushUrl) {
+            console.log('⚠️ Push mode enabled without a push URL, not pushing metrics');
+            return;
+        }
+
+        this.isRunning = true;
+        this.timer = setInterval(() => this.push(), this.options.pushInterval);
+
+        console.log(`📤 Pushing metrics (${this.options.pushMode}) to ${this.options.pushUrl} every ${this.options.pushInterval}ms`);
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.buffer = [];
+        this.pushBufferSize.set(0);
+    }
+
+    /**
+     * Take a snapshot and send it together with anything buffered. While the
+     * target is failing, snapshots are only buffered until the backoff expires.
+     */
+    async push() {
+        try {
+            await this.takeSnapshot();
+        } catch (error) {
+            console.log('❌ Error taking metrics snapshot:', error.message);
+            return;
+        }
+
+        if (this.isPushing || Date.now() < this.nextAttemptAt) return;
+
+        this.isPushing = true;
+        try {
+            while (this.buffer.length > 0) {
+                const snapshot = this.buffer[0];
+                await this.send(snapshot);
+                // Snapshots taken meanwhile may have replaced or dropped it, so remove this one only
+                const index = this.buffer.indexOf(snapshot);
+                if (index !== -1) {
+                    this.buffer.splice(index, 1);
+                }
+                this.pushesTotal.inc({ mode: this.options.pushMode, result: 'success' });
+            }
+            this.backoff = 0;
+            this.nextAttemptAt = 0;
+        } catch (error) {
+            this.pushesTotal.inc({ mode: this.options.pushMode, result: 'failure' });
+            this.backoff = Math.min(this.backoff ? this.backoff * 2 : this.options.pushInterval, MAX_BACKOFF);
+            this.nextAttemptAt = Date.now() + this.backoff;
+
+            if (this.options.enableDetailedLogging) {
+                console.log(`❌ Metrics push failed, retrying in ${this.backoff}ms: ${error.message}`);
+            }
+        } finally {
+            this.isPushing = false;
+            this.pushBufferSize.set(this.buffer.length);
+        }
+    }
+
+    async takeSnapshot() {
+        const registry = this.metricsCollector.getRegistry();
+
+        if (this.options.pushMode === 'pushgateway') {
+            // The Pushgateway only keeps the latest state, so older snapshots are worthless
+            this.buffer = [{ body: await registry.metrics(), contentType: registry.contentType }];
+        } else {
+            const timestamp = Date.now();
+            const metrics = await registry.getMetricsAsJSON();
+            this.buffer.push({ body: this.encodeWriteRequest(metrics, timestamp), timestamp });
+            if (this.buffer.length > this.options.pushMaxBufferSize) {
+                this.buffer.splice(0, this.buffer.length - this.options.pushMaxBufferSize);
+            }
+        }
+        this.pushBufferSize.set(this.buffer.length);
+    }
+
+    send(snapshot) {
+        if (this.options.pushMode === 'pushgateway') {
+            return sendRequest('PUT', this.getPushgatewayUrl(), snapshot.body, {
+                'Content-Type': snapshot.contentType
+            }, this.options.pushTimeout);
+        }
+
+        return sendRequest('POST', this.options.pushUrl, this.compressSnappy(snapshot.body), {
+            'Content-Type': 'application/x-protobuf',
+            'Content-Encoding': 'snappy',
+            'X-Prometheus-Remote-Write-Version': '0.1.0'
+        }, this.options.pushTimeout);
+    }
+
+    getPushgatewayUrl() {
+        const base = this.options.pushUrl.replace(/\/+$/, '');
+        const grouping = Object.entries(this.options.pushGroupingLabels || {})
+            .map(([name, value]) => `/${encodeURIComponent(name)}/${encodeURIComponent(value)}`)
+            .join('');
+        return `${base}/metrics/job/${encodeURIComponent(this.options.pushJobName)}${grouping}`;
+    }
+
+    /**
+     * Encode prom-client JSON metrics as a Prometheus remote-write
+     * WriteRequest protobuf message. Grouping labels and the job name are
+     * added to every series, like Prometheus adds target labels on scrape.
+     */
+    encodeWriteRequest(metrics, timestamp) {
+        const extraLabels = { job: this.options.pushJobName, ...this.options.pushGroupingLabels };
+        const timeseries = [];
+
+        metrics.forEach((metric) => {
+            metric.values.forEach((sample) => {
+                const labels = { ...extraLabels, ...sample.labels, __name__: sample.metricName || metric.name };
+                const encodedLabels = Object.keys(labels).sort().map(name =>
+                    encodeField(1, Buffer.concat([encodeField(1, name), encodeField(2, String(labels[name]))]))
+                );
+
+                const value = Buffer.alloc(9);
+                value[0] = (1 << 3) | 1;
+                value.writeDoubleLE(Number(sample.value), 1);
+                const encodedSample = Buffer.concat([value, Buffer.from([(2 << 3) | 0]), encodeVarint(timestamp)]);
+
+                timeseries.push(encodeField(1, Buffer.concat([...encodedLabels, encodeField(2, encodedSample)])));
+            });
+        });
+
+        return Buffer.concat(timeseries);
+    }
+
+    /**
+     * Wrap data in the Snappy block format as literal chunks. This is valid
+     * Snappy that remote-write receivers accept, without compressing.
+     */
+    compressSnappy(data) {
+        const chunks = [encodeVarint(data.length)];
+        for (let offset = 0; offset < data.length; offset += 65536) {
+            const literal = data.subarray(offset, offset + 65536);
+            const tag = Buffer.alloc(3);
+            tag[0] = 61 << 2;
+            tag.writeUInt16LE(literal.length - 1, 1);
+            chunks.push(tag, literal);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    getStatus() {
+        return {
+            mode: this.options.pushMode,
+            url: this.options.pushUrl,
+            isRunning: this.isRunning,
+            bufferedSnapshots: this.buffer.length,
+            retryInMs: Math.max(0, this.nextAttemptAt - Date.now())
+        };
+    }
+}
+
+function encodeVarint(value) {
+    const bytes = [];
+    let remaining = value;
+    while (remaining >= 128) {
+        bytes.push((remaining % 128) | 128);
+        remaining = Math.floor(remaining / 128);
+    }
+    bytes.push(remaining);
+    return Buffer.from(bytes);
+}
+
+function encodeField(fieldNumber, value) {
+    const bytes = Buffer.isBuffer(value) ? value : Buffer.from(value);
+    return Buffer.concat([encodeVarint((fieldNumber << 3) | 2), encodeVarint(bytes.length), bytes]);
+}
+
+module.exports = PushExporter;
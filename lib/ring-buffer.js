@@ -0,0 +1,46 @@
+/**
+ * Fixed-size buffer that overwrites its oldest entry once full. Memory is
+ * allocated as entries are added, so many mostly empty buffers stay cheap.
+ */
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = Math.max(1, Math.floor(capacity));
+        this.items = [];
+        this.start = 0;
+        this.length = 0;
+    }
+
+    push(item) {
+        if (this.length < this.capacity) {
+            // Until the buffer is full, start is 0 and entries are appended
+            this.items.push(item);
+            this.length++;
+        } else {
+            this.items[this.start] = item;
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    /**
+     * The entries, oldest first.
+     */
+    toArray() {
+        const result = new Array(this.length);
+        for (let i = 0; i < this.length; i++) {
+            result[i] = this.items[(this.start + i) % this.capacity];
+        }
+        return result;
+    }
+
+    last() {
+        return this.length > 0 ? this.items[(this.start + this.length - 1) % this.capacity] : undefined;
+    }
+
+    clear() {
+        this.items = [];
+        this.start = 0;
+        this.length = 0;
+    }
+}
+
+module.exports = RingBuffer;
@@ -0,0 +1,131 @@
+const { monitorEventLoopDelay, PerformanceObserver, constants } = require('perf_hooks');
+const promClient = require('prom-client');
+
+const GC_KINDS = {
+    [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+    [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+    [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+    [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb'
+};
+
+const DEFAULT_PAUSE_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+/**
+ * Records event loop delay and garbage collection pauses as histograms.
+ *
+ * `monitorEventLoopDelay` only exposes percentiles of what it sampled, so
+ * each time the metrics are read the samples since the last read are
+ * replayed into the histogram at their percentile values, then reset.
+ */
+class RuntimeMonitor {
+    constructor(metricsCollector, options = {}) {
+        this.metricsCollector = metricsCollector;
+        this.options = {
+            eventLoopResolution: 10,
+            eventLoopBuckets: DEFAULT_PAUSE_BUCKETS,
+            gcBuckets: DEFAULT_PAUSE_BUCKETS,
+            enableDetailedLogging: false,
+            ...options
+        };
+
+        this.eventLoopMonitor = null;
+        this.gcObserver = null;
+        this.isRunning = false;
+        this.lastDrain = Date.now();
+
+        const monitor = this;
+        this.eventLoopDelay = new promClient.Histogram({
+            name: 'nodered_event_loop_delay_seconds',
+            help: `Event loop delay in seconds, sampled every ${this.options.eventLoopResolution}ms`,
+            buckets: this.options.eventLoopBuckets,
+            registers: [this.metricsCollector.getRegistry()],
+            collect() {
+                monitor.drainEventLoopDelay();
+            }
+        });
+
+        this.gcPause = new promClient.Histogram({
+            name: 'nodered_gc_pause_seconds',
+            help: 'Garbage collection pause duration in seconds by kind',
+            labelNames: ['kind'],
+            buckets: this.options.gcBuckets,
+            registers: [this.metricsCollector.getRegistry()]
+        });
+    }
+
+    start() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.lastDrain = Date.now();
+
+        try {
+            this.eventLoopMonitor = monitorEventLoopDelay({ resolution: this.options.eventLoopResolution });
+            this.eventLoopMonitor.enable();
+        } catch (error) {
+            console.log('⚠️ Event loop delay monitoring not available:', error.message);
+            this.eventLoopMonitor = null;
+        }
+
+        try {
+            this.gcObserver = new PerformanceObserver((list) => {
+                list.getEntries().forEach((entry) => {
+                    // Node.js 16 moved the kind into entry.detail
+                    const kind = entry.detail ? entry.detail.kind : entry.kind;
+                    this.gcPause.observe({ kind: GC_KINDS[kind] || 'other' }, entry.duration / 1000);
+                });
+            });
+            this.gcObserver.observe({ entryTypes: ['gc'] });
+        } catch (error) {
+            console.log('⚠️ GC monitoring not available:', error.message);
+            this.gcObserver = null;
+        }
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        if (this.eventLoopMonitor) {
+            this.eventLoopMonitor.disable();
+            this.eventLoopMonitor = null;
+        }
+        if (this.gcObserver) {
+            this.gcObserver.disconnect();
+            this.gcObserver = null;
+        }
+    }
+
+    /**
+     * Move the event loop delay samples taken since the last call into the
+     * histogram. The monitor reports the full timer interval, so the
+     * resolution is subtracted to get the delay.
+     */
+    drainEventLoopDelay() {
+        const histogram = this.eventLoopMonitor;
+        if (!histogram) return;
+
+        const now = Date.now();
+        // `count` is missing before Node.js 16.14; estimate it from the sampling rate
+        const count = histogram.count !== undefined
+            ? histogram.count
+            : Math.floor((now - this.lastDrain) / this.options.eventLoopResolution);
+        this.lastDrain = now;
+
+        if (count > 0 && histogram.max > 0) {
+            const resolutionNs = this.options.eventLoopResolution * 1e6;
+            let observed = 0;
+            histogram.percentiles.forEach((value, percentile) => {
+                const delay = Math.max(0, value - resolutionNs) / 1e9;
+                const upTo = Math.round(count * percentile / 100);
+                for (; observed < upTo; observed++) {
+                    this.eventLoopDelay.observe(delay);
+                }
+            });
+        }
+
+        histogram.reset();
+    }
+}
+
+module.exports = RuntimeMonitor;
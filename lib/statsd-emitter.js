@@ -0,0 +1,225 @@
+const dgram = require('dgram');
+const promClient = require('prom-client');
+
+// Keeps a UDP packet within a typical Ethernet MTU
+const DEFAULT_MAX_PACKET_SIZE = 1432;
+
+// Collector events mirrored as StatsD metrics
+const COUNTER_EVENTS = {
+    messageIncoming: 'messages.incoming',
+    messageOutgoing: 'messages.outgoing',
+    nodeError: 'errors'
+};
+
+class StatsdEmitter {
+    constructor(metricsCollector, options = {}) {
+        this.metricsCollector = metricsCollector;
+        this.options = {
+            statsdEnabled: false,
+            statsdHost: '127.0.0.1',
+            statsdPort: 8125,
+            statsdPrefix: 'nodered.',
+            statsdTagFormat: 'dogstatsd',
+            statsdTags: {},
+            statsdFlushInterval: 10000,
+            statsdMaxTimingSamples: 100,
+            statsdMaxPacketSize: DEFAULT_MAX_PACKET_SIZE,
+            enableDetailedLogging: false,
+            ...options
+        };
+
+        this.socket = null;
+        this.timer = null;
+        this.isRunning = false;
+        this.listeners = {};
+        // Maps metric line prefix (name and tags) -> aggregated count
+        this.counters = new Map();
+        // Maps metric line prefix -> { samples, seen } with a reservoir of timing samples
+        this.timings = new Map();
+
+        this.packetsTotal = new promClient.Counter({
+            name: 'nodered_statsd_packets_total',
+            help: 'Total number of StatsD packets sent by result',
+            labelNames: ['result'],
+            registers: [this.metricsCollector.getRegistry()]
+        });
+    }
+
+    start() {
+        if (this.isRunning || !this.options.statsdEnabled) return;
+
+        this.socket = dgram.createSocket(this.options.statsdHost.includes(':') ? 'udp6' : 'udp4');
+        this.socket.on('error', (error) => {
+            if (this.options.enableDetailedLogging) {
+                console.log('❌ StatsD socket error:', error.message);
+            }
+        });
+        this.socket.unref();
+
+        Object.entries(COUNTER_EVENTS).forEach(([event, name]) => {
+            this.listeners[event] = (labels) => this.increment(name, labels);
+        });
+        this.listeners.nodeExecution = (labels, duration) => this.timing('node.execution_time', labels, duration * 1000);
+        Object.entries(this.listeners).forEach(([event, listener]) => this.metricsCollector.on(event, listener));
+
+        this.isRunning = true;
+        this.timer = setInterval(() => this.flush(), this.options.statsdFlushInterval);
+
+        console.log(`📤 Sending StatsD metrics to ${this.options.statsdHost}:${this.options.statsdPort} every ${this.options.statsdFlushInterval}ms`);
+    }
+
+    async stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        Object.entries(this.listeners).forEach(([event, listener]) => this.metricsCollector.off(event, listener));
+        this.listeners = {};
+
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        // Closing right away would drop the packets of the final flush
+        await this.flush();
+        this.socket.close();
+        this.socket = null;
+    }
+
+    increment(name, labels) {
+        const key = this.formatName(name, labels);
+        this.counters.set(key, (this.counters.get(key) || 0) + 1);
+    }
+
+    /**
+     * Buffer a timing in milliseconds. Beyond statsdMaxTimingSamples per
+     * interval, samples are kept by reservoir sampling and sent with a
+     * sample rate so the server can scale the count back up.
+     */
+    timing(name, labels, milliseconds) {
+        const key = this.formatName(name, labels);
+        let timing = this.timings.get(key);
+        if (!timing) {
+            timing = { samples: [], seen: 0 };
+            this.timings.set(key, timing);
+        }
+
+        timing.seen++;
+        if (timing.samples.length < this.options.statsdMaxTimingSamples) {
+            timing.samples.push(milliseconds);
+        } else {
+            const index = Math.floor(Math.random() * timing.seen);
+            if (index < timing.samples.length) {
+                timing.samples[index] = milliseconds;
+            }
+        }
+    }
+
+    /**
+     * Name and tags of a metric line. DogStatsD appends tags after the
+     * value, so for that format the tags are kept separate.
+     */
+    formatName(name, labels) {
+        const tags = { ...this.options.statsdTags };
+        Object.entries(labels || {}).forEach(([label, value]) => {
+            if (value !== '' && value !== undefined) {
+                tags[label] = value;
+            }
+        });
+
+        const metricName = `${this.options.statsdPrefix}${name}`;
+        const tagPairs = Object.entries(tags).map(([tag, value]) => [sanitize(tag), sanitize(value)]);
+
+        switch (this.options.statsdTagFormat) {
+            case 'dogstatsd':
+                return tagPairs.length > 0
+                    ? `${metricName}\x00${tagPairs.map(([tag, value]) => `${tag}:${value}`).join(',')}`
+                    : metricName;
+            case 'influx':
+                return [metricName, ...tagPairs.map(([tag, value]) => `${tag}=${value}`)].join(',');
+            default:
+                return metricName;
+        }
+    }
+
+    formatLine(key, value, type, sampleRate = 1) {
+        const [name, tags] = key.split('\x00');
+        let line = `${name}:${value}|${type}`;
+        if (sampleRate < 1) {
+            line += `|@${sampleRate.toFixed(4)}`;
+        }
+        if (tags) {
+            line += `|#${tags}`;
+        }
+        return line;
+    }
+
+    flush() {
+        const lines = [];
+
+        this.counters.forEach((count, key) => {
+            lines.push(this.formatLine(key, count, 'c'));
+        });
+        this.timings.forEach(({ samples, seen }, key) => {
+            const sampleRate = samples.length / seen;
+            samples.forEach(value => lines.push(this.formatLine(key, Number(value.toFixed(3)), 'ms', sampleRate)));
+        });
+
+        this.counters.clear();
+        this.timings.clear();
+
+        return this.sendLines(lines);
+    }
+
+    /**
+     * Send metric lines newline-separated, packing as many as fit into
+     * one packet of at most statsdMaxPacketSize bytes.
+     */
+    sendLines(lines) {
+        if (!this.socket || lines.length === 0) return Promise.resolve();
+
+        const packets = [];
+        let packet = '';
+        lines.forEach((line) => {
+            if (packet && Buffer.byteLength(packet) + 1 + Buffer.byteLength(line) > this.options.statsdMaxPacketSize) {
+                packets.push(packet);
+                packet = '';
+            }
+            packet = packet ? `${packet}\n${line}` : line;
+        });
+        packets.push(packet);
+
+        return Promise.all(packets.map(data => this.sendPacket(data)));
+    }
+
+    sendPacket(packet) {
+        return new Promise((resolve) => {
+            this.socket.send(packet, this.options.statsdPort, this.options.statsdHost, (error) => {
+                this.packetsTotal.inc({ result: error ? 'failure' : 'success' });
+
+                if (error && this.options.enableDetailedLogging) {
+                    console.log('❌ Sending StatsD packet failed:', error.message);
+                }
+                resolve();
+            });
+        });
+    }
+
+    getStatus() {
+        return {
+            enabled: this.options.statsdEnabled,
+            target: `${this.options.statsdHost}:${this.options.statsdPort}`,
+            tagFormat: this.options.statsdTagFormat,
+            isRunning: this.isRunning
+        };
+    }
+}
+
+/**
+ * Replace characters that delimit StatsD lines, values and tags.
+ */
+function sanitize(value) {
+    return String(value).replace(/[\s,:|#=@\n]/g, '_');
+}
+
+module.exports = StatsdEmitter;
@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const promClient = require('prom-client');
+const { sendRequest } = require('./http-request');
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+// OTLP span kinds
+const SPAN_KIND_INTERNAL = 1;
+const SPAN_KIND_SERVER = 2;
+const SPAN_KIND_CLIENT = 3;
+
+/**
+ * Builds one span per node execution from the message hooks. A span covers
+ * onReceive to onComplete of a node and is parented by the span of the node
+ * that sent it the message with the same _msgid. Nodes that send without
+ * receiving first (inject, http in, ...) get a zero-length root span.
+ */
+class Tracer {
+    constructor(metricsCollector, options = {}) {
+        this.metricsCollector = metricsCollector;
+        this.options = {
+            tracingEnabled: false,
+            tracingFormat: 'otlp',
+            tracingEndpoint: '',
+            tracingServiceName: 'node-red',
+            tracingSampleRate: 1,
+            tracingInterval: 5000,
+            tracingMaxBufferSize: 2048,
+            tracingTimeout: 10000,
+            maxTimingEntries: 1000,
+            enableDetailedLogging: false,
+            ...options
+        };
+
+        this.timer = null;
+        this.isRunning = false;
+        // Promise of the export in flight, if any
+        this.exporting = null;
+        // Maps _msgid -> { traceId, sampled, spans: Map nodeId -> spanId, lastSeen }
+        this.traces = new Map();
+        // Maps `${nodeId}_${msgid}` -> span of an execution that has not completed yet
+        this.activeSpans = new Map();
+        // Maps `${destinationId}_${msgid}` -> span ID of the node that sent the message
+        this.pendingParents = new Map();
+        // Finished spans waiting to be exported
+        this.buffer = [];
+
+        this.spansTotal = new promClient.Counter({
+            name: 'nodered_trace_spans_total',
+            help: 'Total number of trace spans by result (exported, failed, dropped)',
+            labelNames: ['result'],
+            registers: [this.metricsCollector.getRegistry()]
+        });
+    }
+
+    isEnabled() {
+        return this.isRunning;
+    }
+
+    start() {
+        if (this.isRunning || !this.options.tracingEnabled) return;
+
+        if (!this.options.tracingEndpoint) {
+            console.log('⚠️ Tracing enabled without an endpoint, not recording spans');
+            return;
+        }
+
+        this.isRunning = true;
+        this.timer = setInterval(() => {
+            this.cleanup();
+            this.export();
+        }, this.options.tracingInterval);
+
+        console.log(`📤 Exporting trace spans (${this.options.tracingFormat}) to ${this.options.tracingEndpoint}`);
+    }
+
+    async stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        // Let an export in flight finish, then send the spans buffered meanwhile
+        if (this.exporting) {
+            await this.exporting;
+        }
+        await this.export();
+
+        this.traces.clear();
+        this.activeSpans.clear();
+        this.pendingParents.clear();
+        this.buffer = [];
+    }
+
+    /**
+     * Parse a W3C traceparent header into { traceId, spanId, sampled }.
+     */
+    parseTraceparent(header) {
+        if (typeof header !== 'string') return null;
+
+        const match = TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+        if (!match || match[1] === INVALID_TRACE_ID || match[2] === INVALID_SPAN_ID) return null;
+
+        return {
+            traceId: match[1],
+            spanId: match[2],
+            sampled: (parseInt(match[3], 16) & 1) === 1
+        };
+    }
+
+    _getTrace(messageId, remoteParent = null) {
+        let trace = this.traces.get(messageId);
+        if (!trace) {
+            trace = {
+                traceId: remoteParent ? remoteParent.traceId : crypto.randomBytes(16).toString('hex'),
+                sampled: remoteParent ? remoteParent.sampled : Math.random() < this.options.tracingSampleRate,
+                remoteParentId: remoteParent ? remoteParent.spanId : null,
+                spans: new Map(),
+                lastSeen: Date.now()
+            };
+            this.traces.set(messageId, trace);
+        }
+        trace.lastSeen = Date.now();
+        return trace;
+    }
+
+    _createSpan(trace, parentSpanId, node, kind) {
+        return {
+            traceId: trace.traceId,
+            spanId: crypto.randomBytes(8).toString('hex'),
+            parentSpanId: parentSpanId || '',
+            name: node.nodeName || node.nodeType,
+            kind,
+            startTime: performance.timeOrigin + performance.now(),
+            endTime: null,
+            node,
+            error: null
+        };
+    }
+
+    _finishSpan(span, trace, error = null) {
+        span.endTime = performance.timeOrigin + performance.now();
+        span.error = error;
+
+        if (!trace.sampled) return;
+
+        this.buffer.push(span);
+        if (this.buffer.length > this.options.tracingMaxBufferSize) {
+            const dropped = this.buffer.splice(0, this.buffer.length - this.options.tracingMaxBufferSize);
+            this.spansTotal.inc({ result: 'dropped' }, dropped.length);
+        }
+    }
+
+    /**
+     * A node sent a message. The destination's span will be a child of the
+     * sender's current span; senders without one get a root span, which for
+     * `http in` continues the trace of an incoming traceparent header.
+     */
+    onSend(messageId, node, destinationId, msg) {
+        const key = `${node.nodeId}_${messageId}`;
+        let trace = this.traces.get(messageId);
+        let spanId = trace?.spans.get(node.nodeId);
+
+        if (!spanId && !this.activeSpans.has(key)) {
+            const remoteParent = node.nodeType === 'http in'
+                ? this.parseTraceparent(msg?.req?.headers?.traceparent)
+                : null;
+            trace = this._getTrace(messageId, remoteParent);
+
+            const span = this._createSpan(trace, trace.remoteParentId, node,
+                node.nodeType === 'http in' ? SPAN_KIND_SERVER : SPAN_KIND_INTERNAL);
+            trace.spans.set(node.nodeId, span.spanId);
+            spanId = span.spanId;
+            this._finishSpan(span, trace);
+        } else if (!spanId) {
+            spanId = this.activeSpans.get(key).spanId;
+        }
+
+        if (destinationId) {
+            this.pendingParents.set(`${destinationId}_${messageId}`, spanId);
+        }
+    }
+
+    /**
+     * A node received a message: open its span and, for `http request`
+     * nodes, pass the trace on in a traceparent request header.
+     */
+    onReceive(messageId, node, msg) {
+        const key = `${node.nodeId}_${messageId}`;
+        const trace = this._getTrace(messageId);
+        const parentSpanId = this.pendingParents.get(key) || trace.remoteParentId;
+        this.pendingParents.delete(key);
+
+        const span = this._createSpan(trace, parentSpanId, node,
+            node.nodeType === 'http request' ? SPAN_KIND_CLIENT : SPAN_KIND_INTERNAL);
+        this.activeSpans.set(key, span);
+        trace.spans.set(node.nodeId, span.spanId);
+
+        if (node.nodeType === 'http request' && msg) {
+            const flags = trace.sampled ? '01' : '00';
+            msg.headers = { ...msg.headers, traceparent: `00-${trace.traceId}-${span.spanId}-${flags}` };
+        }
+    }
+
+    onComplete(messageId, nodeId, error) {
+        const key = `${nodeId}_${messageId}`;
+        const span = this.activeSpans.get(key);
+        if (!span) return;
+
+        this.activeSpans.delete(key);
+        const trace = this.traces.get(messageId);
+        if (trace) {
+            this._finishSpan(span, trace, error);
+        }
+    }
+
+    /**
+     * Forget trace state of messages that have not been seen for a minute,
+     * and anything beyond maxTimingEntries, oldest first.
+     */
+    cleanup() {
+        const now = Date.now();
+        const maxAge = 60000;
+
+        for (const [messageId, trace] of this.traces) {
+            if (this.traces.size > this.options.maxTimingEntries || now - trace.lastSeen > maxAge) {
+                this.traces.delete(messageId);
+            }
+        }
+
+        for (const [key, span] of this.activeSpans) {
+            if (this.activeSpans.size > this.options.maxTimingEntries || now - span.startTime > maxAge) {
+                this.activeSpans.delete(key);
+            }
+        }
+
+        // Parents are consumed by the next onReceive; leftovers belong to
+        // messages that were never delivered
+        if (this.pendingParents.size > this.options.maxTimingEntries) {
+            this.pendingParents.clear();
+        }
+    }
+
+    export() {
+        if (this.exporting || this.buffer.length === 0) return this.exporting || Promise.resolve();
+
+        const spans = this.buffer.splice(0, this.buffer.length);
+        this.exporting = this._exportSpans(spans).finally(() => {
+            this.exporting = null;
+        });
+        return this.exporting;
+    }
+
+    async _exportSpans(spans) {
+        try {
+            const body = this.options.tracingFormat === 'zipkin'
+                ? JSON.stringify(spans.map(span => this.toZipkinSpan(span)))
+                : JSON.stringify(this.buildOtlpRequest(spans));
+
+            await sendRequest('POST', this.options.tracingEndpoint, body, {
+                'Content-Type': 'application/json'
+            }, this.options.tracingTimeout);
+
+            this.spansTotal.inc({ result: 'exported' }, spans.length);
+        } catch (error) {
+            this.spansTotal.inc({ result: 'failed' }, spans.length);
+
+            if (this.options.enableDetailedLogging) {
+                console.log(`❌ Exporting ${spans.length} trace spans failed:`, error.message);
+            }
+        }
+    }
+
+    _spanTags(span) {
+        const { nodeId, nodeName, nodeType, flowId } = span.node;
+        const tags = {
+            'node.id': nodeId,
+            'node.type': nodeType,
+            'flow.id': flowId
+        };
+        if (nodeName) tags['node.name'] = nodeName;
+
+        const flowName = this.metricsCollector.resolveFlowName(flowId);
+        if (flowName) tags['flow.name'] = flowName;
+
+        if (span.error) tags['error.type'] = span.error.name || 'Error';
+        return tags;
+    }
+
+    buildOtlpRequest(spans) {
+        return {
+            resourceSpans: [{
+                resource: {
+                    attributes: toAttributes({ 'service.name': this.options.tracingServiceName })
+                },
+                scopeSpans: [{
+                    scope: { name: 'node-red-contrib-metrics-collector' },
+                    spans: spans.map(span => ({
+                        traceId: span.traceId,
+                        spanId: span.spanId,
+                        parentSpanId: span.parentSpanId,
+                        name: span.name,
+                        kind: span.kind,
+                        startTimeUnixNano: toUnixNano(span.startTime),
+                        endTimeUnixNano: toUnixNano(span.endTime),
+                        attributes: toAttributes(this._spanTags(span)),
+                        status: span.error
+                            ? { code: 2, message: span.error.message || String(span.error) }
+                            : { code: 0 }
+                    }))
+                }]
+            }]
+        };
+    }
+
+    toZipkinSpan(span) {
+        const zipkinSpan = {
+            traceId: span.traceId,
+            id: span.spanId,
+            name: span.name,
+            timestamp: Math.round(span.startTime * 1000),
+            duration: Math.max(1, Math.round((span.endTime - span.startTime) * 1000)),
+            localEndpoint: { serviceName: this.options.tracingServiceName },
+            tags: this._spanTags(span)
+        };
+        if (span.parentSpanId) zipkinSpan.parentId = span.parentSpanId;
+        if (span.kind === SPAN_KIND_SERVER) zipkinSpan.kind = 'SERVER';
+        if (span.kind === SPAN_KIND_CLIENT) zipkinSpan.kind = 'CLIENT';
+        if (span.error) zipkinSpan.tags.error = span.error.message || String(span.error);
+        return zipkinSpan;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.options.tracingEnabled,
+            format: this.options.tracingFormat,
+            endpoint: this.options.tracingEndpoint,
+            isRunning: this.isRunning,
+            bufferedSpans: this.buffer.length
+        };
+    }
+}
+
+function toAttributes(values) {
+    return Object.entries(values).map(([key, value]) => ({
+        key,
+        value: { stringValue: String(value) }
+    }));
+}
+
+function toUnixNano(milliseconds) {
+    return (BigInt(Math.round(milliseconds * 1000)) * 1000n).toString();
+}
+
+module.exports = Tracer;
@@ -1,9 +1,107 @@
 module.exports = function (RED) {
     "use strict";
 
+    const os = require('os');
     const NodeRedFlowMetrics = require('../index.js');
+    const { DEFAULT_EXECUTION_TIME_BUCKETS } = require('../lib/metrics-collector');
 
     let globalMetrics = null;
+    // Deployed flow-metrics nodes in deploy order, to pick the one that sends an alert
+    const alertNodes = new Set();
+
+    /**
+     * Every node shares one alert engine, so each alert is sent by a single
+     * node: the first one in the alert's flow, or else the first one deployed.
+     */
+    function alertReceiver(alert) {
+        const flowId = alert.labels && alert.labels.flow_id;
+        const nodes = Array.from(alertNodes);
+        return nodes.find(node => flowId && node.z === flowId) || nodes[0];
+    }
+
+    /**
+     * Parse a comma-separated list of histogram bucket boundaries.
+     * Returns null when the list is empty or not strictly increasing.
+     */
+    function parseBuckets(value) {
+        const buckets = (Array.isArray(value) ? value : String(value || '').split(','))
+            .map(bucket => String(bucket).trim())
+            .filter(bucket => bucket !== '')
+            .map(Number);
+
+        if (buckets.length === 0 || buckets.some((bucket, i) => !(bucket > 0) || (i > 0 && bucket <= buckets[i - 1]))) {
+            return null;
+        }
+        return buckets;
+    }
+
+    /**
+     * Parse a comma-separated list of node types or flow IDs.
+     */
+    function parseList(value) {
+        return String(value || '')
+            .split(',')
+            .map(item => item.trim())
+            .filter(item => item !== '');
+    }
+
+    /**
+     * Parse comma-separated name=value pairs, e.g. "instance=edge-1,site=berlin".
+     */
+    function parseLabels(value) {
+        const labels = {};
+        parseList(value).forEach(pair => {
+            const separator = pair.indexOf('=');
+            if (separator > 0) {
+                labels[pair.substring(0, separator).trim()] = pair.substring(separator + 1).trim();
+            }
+        });
+        return labels;
+    }
+
+    /**
+     * Parse per-node-type bucket overrides given as JSON, e.g.
+     * {"http request": [0.1, 1, 10, 30, 60]}. Invalid entries are skipped.
+     */
+    function parseBucketOverrides(node, value) {
+        if (!value || !String(value).trim()) return {};
+
+        let overrides;
+        try {
+            overrides = JSON.parse(value);
+        } catch (error) {
+            node.warn(`Ignoring invalid execution time bucket overrides: ${error.message}`);
+            return {};
+        }
+
+        const result = {};
+        Object.entries(overrides || {}).forEach(([nodeType, buckets]) => {
+            const parsed = parseBuckets(buckets);
+            if (parsed) {
+                result[nodeType] = parsed;
+            } else {
+                node.warn(`Ignoring invalid execution time buckets for node type "${nodeType}"`);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Parse alert rules given as a JSON array, e.g.
+     * [{"name": "orders failing", "type": "error_rate", "flow": "Orders", "threshold": 5}].
+     */
+    function parseAlertRules(node, value) {
+        if (!value || !String(value).trim()) return [];
+
+        try {
+            const rules = JSON.parse(value);
+            if (Array.isArray(rules)) return rules;
+            node.warn('Ignoring alert rules: expected a JSON array');
+        } catch (error) {
+            node.warn(`Ignoring invalid alert rules: ${error.message}`);
+        }
+        return [];
+    }
 
     function FlowMetricsNode(config) {
         RED.nodes.createNode(this, config);
@@ -11,16 +109,100 @@ module.exports = function (RED) {
         const node = this;
 
         const metricsConfig = {
+            serverMode: config.serverMode || 'standalone',
             host: config.host || '0.0.0.0',
             port: config.port || 1881,
             metricsRoute: config.metricsRoute || '/metrics',
             jsonRoute: config.jsonRoute || '/metrics/json',
+            wiresRoute: config.wiresRoute || '/metrics/wires',
+            stuckRoute: config.stuckRoute || '/metrics/stuck',
+            historyRoute: config.historyRoute || '/metrics/history',
+            alertsRoute: config.alertsRoute || '/alerts',
+            dashboardRoute: config.dashboardRoute || '/flow-metrics/dashboard',
             healthRoute: config.healthRoute || '/health',
             collectInterval: config.collectionInterval || 5000,
             enableDetailedLogging: config.enableDetailedLogging || false,
-            maxTimingEntries: config.maxTimingEntries || 1000
+            maxTimingEntries: config.maxTimingEntries || 1000,
+            measurePayloadSize: config.measurePayloadSize || false,
+            payloadSampleRate: config.payloadSampleRate !== undefined && config.payloadSampleRate !== '' ? Number(config.payloadSampleRate) : 0.1,
+            payloadSizeLimit: config.payloadSizeLimit || 1048576,
+            stuckMessageTimeout: config.stuckMessageTimeout || 30000,
+            executionTimeBuckets: parseBuckets(config.executionTimeBuckets) || DEFAULT_EXECUTION_TIME_BUCKETS,
+            executionTimeBucketsByType: parseBucketOverrides(this, config.executionTimeBucketsByType),
+            executionTimeSummary: config.executionTimeSummary || false,
+            summaryMaxAgeSeconds: config.summaryMaxAgeSeconds || 600,
+            includeNodeTypes: parseList(config.includeNodeTypes),
+            excludeNodeTypes: parseList(config.excludeNodeTypes),
+            includeFlows: parseList(config.includeFlows),
+            excludeFlows: parseList(config.excludeFlows),
+            includeNamePattern: config.includeNamePattern || '',
+            excludeNamePattern: config.excludeNamePattern || '',
+            aggregateByNodeType: config.aggregateByNodeType || false,
+            maxSeries: Number(config.maxSeries) || 0,
+            removedSeriesGracePeriod: Number(config.removedSeriesGracePeriod) || 0,
+            tlsCertPath: config.tlsCertPath || '',
+            tlsKeyPath: config.tlsKeyPath || '',
+            ipAllowlist: parseList(config.ipAllowlist),
+            pushMode: config.pushMode || 'none',
+            pushUrl: config.pushUrl || '',
+            pushInterval: config.pushInterval || 15000,
+            pushJobName: config.pushJobName || 'node-red',
+            pushGroupingLabels: parseLabels(config.pushGroupingLabels),
+            otlpEnabled: config.otlpEnabled || false,
+            otlpEndpoint: config.otlpEndpoint || '',
+            otlpInterval: config.otlpInterval || 30000,
+            otlpServiceName: config.otlpServiceName || 'node-red',
+            tracingEnabled: config.tracingEnabled || false,
+            tracingFormat: config.tracingFormat || 'otlp',
+            tracingEndpoint: config.tracingEndpoint || '',
+            tracingSampleRate: config.tracingSampleRate !== undefined && config.tracingSampleRate !== '' ? Number(config.tracingSampleRate) : 1,
+            statsdEnabled: config.statsdEnabled || false,
+            statsdHost: config.statsdHost || '127.0.0.1',
+            statsdPort: Number(config.statsdPort) || 8125,
+            statsdPrefix: config.statsdPrefix !== undefined ? config.statsdPrefix : 'nodered.',
+            statsdTagFormat: config.statsdTagFormat || 'dogstatsd',
+            statsdTags: parseLabels(config.statsdTags),
+            statsdFlushInterval: config.statsdFlushInterval || 10000,
+            influxMode: config.influxMode || 'none',
+            influxUrl: config.influxUrl || '',
+            influxInterval: config.influxInterval || 15000,
+            influxTags: parseLabels(config.influxTags),
+            mqttUrl: config.mqttUrl || '',
+            mqttTopic: config.mqttTopic || 'nodered/metrics',
+            snapshotInterval: Number(config.snapshotInterval) || 0,
+            snapshotFlows: parseList(config.snapshotFlows),
+            snapshotNodeTypes: parseList(config.snapshotNodeTypes),
+            alertRules: parseAlertRules(this, config.alertRules),
+            alertInterval: config.alertInterval || 15000,
+            persistenceEnabled: config.persistenceEnabled || false,
+            persistenceFile: config.persistenceFile || '',
+            persistenceInterval: config.persistenceInterval || 60000,
+            historyEnabled: config.historyEnabled || false,
+            historyIncludeProcessMetrics: config.historyIncludeProcessMetrics || false
         };
 
+        if (Object.keys(metricsConfig.pushGroupingLabels).length === 0) {
+            metricsConfig.pushGroupingLabels = { instance: os.hostname() };
+        }
+
+        if (Object.keys(metricsConfig.influxTags).length === 0) {
+            metricsConfig.influxTags = { host: os.hostname() };
+        }
+
+        function describeServer(prefix, route = '') {
+            switch (metricsConfig.serverMode) {
+                case 'standalone':
+                    return `${prefix}: ${metricsConfig.host}:${metricsConfig.port}${route}`;
+                case 'none':
+                    return metricsConfig.otlpEnabled ? `${prefix}: OTLP export` : `${prefix}: not served`;
+                default:
+                    return `${prefix}: Node-RED ${metricsConfig.serverMode}${route ? ` ${route}` : ''}`;
+            }
+        }
+
+        // Kept out of metricsConfig so they never end up in the logged config
+        const credentials = node.credentials || {};
+
         console.log('🚀 Flow Metrics Node starting with config:', metricsConfig);
 
         let messageCount = 0;
@@ -77,7 +259,7 @@ module.exports = function (RED) {
                     node.status({
                         fill: "green",
                         shape: "dot",
-                        text: `Server: ${metricsConfig.host}:${metricsConfig.port}`
+                        text: describeServer('Server')
                     });
                 }
 
@@ -91,11 +273,10 @@ module.exports = function (RED) {
                 console.log(`📊 Message count in last ${metricsConfig.collectInterval}ms: ${messageCount}`);
             }
 
-            const metricsUrl = `${metricsConfig.host}:${metricsConfig.port}${metricsConfig.metricsRoute}`;
             node.status({
                 fill: "green",
                 shape: "dot",
-                text: `Metrics: ${metricsUrl}`
+                text: describeServer('Metrics', metricsConfig.metricsRoute)
             });
 
             messageCount = 0;
@@ -105,14 +286,81 @@ module.exports = function (RED) {
             console.log('🔧 Initializing metrics system...');
 
             globalMetrics = new NodeRedFlowMetrics({
+                serverMode: metricsConfig.serverMode,
                 host: metricsConfig.host,
                 port: metricsConfig.port,
                 metricsRoute: metricsConfig.metricsRoute,
                 jsonRoute: metricsConfig.jsonRoute,
+                wiresRoute: metricsConfig.wiresRoute,
+                stuckRoute: metricsConfig.stuckRoute,
+                historyRoute: metricsConfig.historyRoute,
+                alertsRoute: metricsConfig.alertsRoute,
+                dashboardRoute: metricsConfig.dashboardRoute,
                 healthRoute: metricsConfig.healthRoute,
                 collectInterval: metricsConfig.collectInterval,
                 enableDetailedLogging: metricsConfig.enableDetailedLogging,
-                maxTimingEntries: metricsConfig.maxTimingEntries
+                maxTimingEntries: metricsConfig.maxTimingEntries,
+                measurePayloadSize: metricsConfig.measurePayloadSize,
+                payloadSampleRate: metricsConfig.payloadSampleRate,
+                payloadSizeLimit: metricsConfig.payloadSizeLimit,
+                stuckMessageTimeout: metricsConfig.stuckMessageTimeout,
+                executionTimeBuckets: metricsConfig.executionTimeBuckets,
+                executionTimeBucketsByType: metricsConfig.executionTimeBucketsByType,
+                executionTimeSummary: metricsConfig.executionTimeSummary,
+                summaryMaxAgeSeconds: metricsConfig.summaryMaxAgeSeconds,
+                includeNodeTypes: metricsConfig.includeNodeTypes,
+                excludeNodeTypes: metricsConfig.excludeNodeTypes,
+                includeFlows: metricsConfig.includeFlows,
+                excludeFlows: metricsConfig.excludeFlows,
+                includeNamePattern: metricsConfig.includeNamePattern,
+                excludeNamePattern: metricsConfig.excludeNamePattern,
+                aggregateByNodeType: metricsConfig.aggregateByNodeType,
+                maxSeries: metricsConfig.maxSeries,
+                removedSeriesGracePeriod: metricsConfig.removedSeriesGracePeriod,
+                tlsCertPath: metricsConfig.tlsCertPath,
+                tlsKeyPath: metricsConfig.tlsKeyPath,
+                ipAllowlist: metricsConfig.ipAllowlist,
+                pushMode: metricsConfig.pushMode,
+                pushUrl: metricsConfig.pushUrl,
+                pushInterval: metricsConfig.pushInterval,
+                pushJobName: metricsConfig.pushJobName,
+                pushGroupingLabels: metricsConfig.pushGroupingLabels,
+                otlpEnabled: metricsConfig.otlpEnabled,
+                otlpEndpoint: metricsConfig.otlpEndpoint,
+                otlpInterval: metricsConfig.otlpInterval,
+                otlpServiceName: metricsConfig.otlpServiceName,
+                otlpHeaders: parseLabels(credentials.otlpHeaders),
+                tracingEnabled: metricsConfig.tracingEnabled,
+                tracingFormat: metricsConfig.tracingFormat,
+                tracingEndpoint: metricsConfig.tracingEndpoint,
+                tracingServiceName: metricsConfig.otlpServiceName,
+                tracingSampleRate: metricsConfig.tracingSampleRate,
+                statsdEnabled: metricsConfig.statsdEnabled,
+                statsdHost: metricsConfig.statsdHost,
+                statsdPort: metricsConfig.statsdPort,
+                statsdPrefix: metricsConfig.statsdPrefix,
+                statsdTagFormat: metricsConfig.statsdTagFormat,
+                statsdTags: metricsConfig.statsdTags,
+                statsdFlushInterval: metricsConfig.statsdFlushInterval,
+                influxMode: metricsConfig.influxMode,
+                influxUrl: metricsConfig.influxUrl,
+                influxInterval: metricsConfig.influxInterval,
+                influxTags: metricsConfig.influxTags,
+                influxToken: credentials.influxToken || '',
+                mqttUrl: metricsConfig.mqttUrl,
+                mqttTopic: metricsConfig.mqttTopic,
+                mqttUsername: credentials.mqttUsername || '',
+                mqttPassword: credentials.mqttPassword || '',
+                alertRules: metricsConfig.alertRules,
+                alertInterval: metricsConfig.alertInterval,
+                persistenceEnabled: metricsConfig.persistenceEnabled,
+                persistenceFile: metricsConfig.persistenceFile,
+                persistenceInterval: metricsConfig.persistenceInterval,
+                historyEnabled: metricsConfig.historyEnabled,
+                historyIncludeProcessMetrics: metricsConfig.historyIncludeProcessMetrics,
+                username: credentials.username || '',
+                password: credentials.password || '',
+                bearerToken: credentials.bearerToken || ''
             });
 
             globalMetrics.init(RED).then(() => {
@@ -133,16 +381,121 @@ module.exports = function (RED) {
             node.monitorMessages();
         }, metricsConfig.collectInterval);
 
+        /**
+         * Send a snapshot of the current metrics, filtered by the configured
+         * flows and node types, as msg.payload.
+         */
+        node.sendSnapshot = async function (msg = {}) {
+            const snapshot = await globalMetrics.getSnapshot({
+                flows: metricsConfig.snapshotFlows,
+                nodeTypes: metricsConfig.snapshotNodeTypes
+            });
+            return { ...msg, topic: msg.topic || 'metrics', payload: snapshot };
+        };
+
+        /**
+         * Answer a msg.history query ({metric, labels, start, end}) with the
+         * recent values of the metric's series as msg.payload.
+         */
+        node.sendHistory = function (msg) {
+            const toTime = value => (typeof value === 'string' ? Date.parse(value) : value);
+            const query = msg.history;
+            const result = globalMetrics.queryHistory({
+                metric: query.metric,
+                labels: query.labels || {},
+                start: toTime(query.start),
+                end: toTime(query.end),
+                resolution: query.resolution
+            });
+            return { ...msg, topic: msg.topic || 'history', payload: result };
+        };
+
+        // Firing and resolved alerts go to the second output
+        const alertEngine = globalMetrics.alertEngine;
+        const onAlert = (alert) => {
+            if (alertReceiver(alert) === node) {
+                node.send([null, { topic: `alert/${alert.status}`, payload: alert }]);
+            }
+        };
+        alertNodes.add(node);
+        alertEngine.on('alert', onAlert);
+
+        node.on('input', function (msg, send, done) {
+            if (!globalMetrics || !globalMetrics.isInitialized) {
+                done(new Error('Metrics system not initialized'));
+                return;
+            }
+
+            if (msg.history && typeof msg.history === 'object') {
+                try {
+                    send(node.sendHistory(msg));
+                    done();
+                } catch (error) {
+                    done(error);
+                }
+                return;
+            }
+
+            node.sendSnapshot(msg).then((output) => {
+                send(output);
+                done();
+            }).catch(done);
+        });
+
+        const snapshotTimer = metricsConfig.snapshotInterval > 0
+            ? setInterval(() => {
+                if (!globalMetrics || !globalMetrics.isInitialized) return;
+
+                node.sendSnapshot().then(output => node.send(output)).catch((error) => {
+                    node.warn(`Error building metrics snapshot: ${error.message}`);
+                });
+            }, metricsConfig.snapshotInterval)
+            : null;
+
         node.on('close', function () {
             console.log('🧹 Flow Metrics node closing...');
             if (monitorInterval) {
                 clearInterval(monitorInterval);
             }
+            if (snapshotTimer) {
+                clearInterval(snapshotTimer);
+            }
+            alertEngine.removeListener('alert', onAlert);
+            alertNodes.delete(node);
             node.status({});
         });
     }
 
-    RED.nodes.registerType("flow-metrics", FlowMetricsNode);
+    RED.nodes.registerType("flow-metrics", FlowMetricsNode, {
+        credentials: {
+            username: { type: "text" },
+            password: { type: "password" },
+            bearerToken: { type: "password" },
+            otlpHeaders: { type: "password" },
+            influxToken: { type: "password" },
+            mqttUsername: { type: "text" },
+            mqttPassword: { type: "password" }
+        }
+    });
+
+    // Live metrics for the editor sidebar, independent of how the metrics routes are served
+    if (RED.httpAdmin) {
+        const needsPermission = typeof RED.auth?.needsPermission === 'function'
+            ? RED.auth.needsPermission('flow-metrics.read')
+            : (req, res, next) => next();
+
+        RED.httpAdmin.get('/flow-metrics/editor', needsPermission, function (req, res) {
+            if (!globalMetrics || !globalMetrics.isInitialized) {
+                res.status(503).json({ error: 'No flow-metrics node is deployed' });
+                return;
+            }
+
+            globalMetrics.getEditorMetrics().then(metrics => res.json(metrics)).catch((error) => {
+                console.error('❌ Error getting editor metrics:', error.message);
+                res.status(500).json({ error: 'Error getting metrics' });
+            });
+        });
+    }
 
     RED.events.on('runtime-event', function (event) {
         if (event.id === 'runtime-stopped' && globalMetrics) {
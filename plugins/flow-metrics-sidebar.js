@@ -0,0 +1,7 @@
+module.exports = function (RED) {
+    "use strict";
+
+    // The sidebar lives in flow-metrics-sidebar.html; its data comes from the
+    // /flow-metrics/editor admin route registered by the flow-metrics node
+    RED.plugins.registerPlugin('flow-metrics-sidebar', {});
+};
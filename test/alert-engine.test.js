@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MetricsCollector = require('../lib/metrics-collector');
+const AlertEngine = require('../lib/alert-engine');
+
+const MINUTE = 60000;
+
+/**
+ * A collector with one flow holding two inject nodes, of which only
+ * `inject-active` sends messages.
+ */
+function createCollector(options) {
+    const collector = new MetricsCollector(options);
+    collector.updateFlowInventory({
+        flows: new Map([['flow-1', { id: 'flow-1', type: 'tab', label: 'Orders', disabled: false }]]),
+        nodes: new Map([
+            ['inject-active', { id: 'inject-active', type: 'inject', name: 'active', flowId: 'flow-1', wires: [[]], disabled: false }],
+            ['inject-idle', { id: 'inject-idle', type: 'inject', name: 'idle', flowId: 'flow-1', wires: [[]], disabled: false }]
+        ])
+    });
+    return collector;
+}
+
+async function firingNodeIds(options) {
+    const collector = createCollector(options);
+    const engine = new AlertEngine(collector, {
+        alertRules: [{ name: 'quiet', type: 'no_messages', threshold: 5 }]
+    });
+    engine.startedAt = Date.now() - 10 * MINUTE;
+
+    collector.recordOutgoingMessage('inject-active', 'inject', 'flow-1', 'active');
+    await engine.evaluate(Date.now());
+
+    return engine.getAlerts().map(alert => alert.labels.node_id).sort();
+}
+
+test('no_messages fires only for the silent inject node', async () => {
+    assert.deepEqual(await firingNodeIds({}), ['inject-idle']);
+});
+
+test('no_messages sees messages of nodes aggregated by node type', async () => {
+    assert.deepEqual(await firingNodeIds({ aggregateByNodeType: true }), ['inject-idle']);
+});
+
+test('no_messages sees messages of nodes excluded from the series', async () => {
+    assert.deepEqual(await firingNodeIds({ excludeNodeTypes: ['inject'] }), ['inject-idle']);
+});
+
+test('no_messages sees messages of nodes in the overflow series', async () => {
+    const collector = createCollector({ maxSeries: 1 });
+    // Takes the only series slot, so the inject nodes overflow
+    collector.recordOutgoingMessage('function-1', 'function', 'flow-1', '');
+
+    const engine = new AlertEngine(collector, {
+        alertRules: [{ name: 'quiet', type: 'no_messages', threshold: 5 }]
+    });
+    engine.startedAt = Date.now() - 10 * MINUTE;
+    collector.recordOutgoingMessage('inject-active', 'inject', 'flow-1', 'active');
+    await engine.evaluate(Date.now());
+
+    assert.deepEqual(engine.getAlerts().map(alert => alert.labels.node_id), ['inject-idle']);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CardinalityGuard = require('../lib/cardinality-guard');
+
+test('dropped series count the deployed nodes that are excluded or over the limit', () => {
+    const guard = new CardinalityGuard({ excludeNodeTypes: ['debug'], maxSeries: 1 });
+
+    guard.admit('debug-1', '', 'debug', 'flow-1');
+    guard.admit('function-1', '', 'function', 'flow-1');
+    guard.admit('function-2', '', 'function', 'flow-1');
+    // Repeated decisions are not counted again
+    guard.admit('debug-1', '', 'debug', 'flow-1');
+
+    assert.deepEqual(guard.getDroppedSeries(), { excluded: 1, limit: 1 });
+});
+
+test('dropped series no longer count nodes that were removed', () => {
+    const guard = new CardinalityGuard({ excludeNodeTypes: ['debug'], maxSeries: 1 });
+
+    // Redeploying replaces every node with a new one a few times
+    for (let deploy = 0; deploy < 3; deploy++) {
+        guard.admit(`debug-${deploy}`, '', 'debug', 'flow-1');
+        guard.admit(`function-a-${deploy}`, '', 'function', 'flow-1');
+        guard.admit(`function-b-${deploy}`, '', 'function', 'flow-1');
+        guard.forget(nodeId => !nodeId.endsWith(`-${deploy}`));
+    }
+
+    assert.deepEqual(guard.getDroppedSeries(), { excluded: 1, limit: 1 });
+});
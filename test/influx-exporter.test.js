@@ -0,0 +1,239 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const promClient = require('prom-client');
+const MqttClient = require('../lib/mqtt-client');
+const InfluxExporter = require('../lib/influx-exporter');
+
+function readString(buffer, offset) {
+    const length = buffer.readUInt16BE(offset);
+    return { value: buffer.toString('utf8', offset + 2, offset + 2 + length), offset: offset + 2 + length };
+}
+
+function parseConnect(body) {
+    let { value: protocol, offset } = readString(body, 0);
+    const level = body[offset];
+    const flags = body[offset + 1];
+    const keepalive = body.readUInt16BE(offset + 2);
+    offset += 4;
+
+    const connect = { protocol, level, flags, keepalive };
+    ({ value: connect.clientId, offset } = readString(body, offset));
+    if (flags & 0x80) ({ value: connect.username, offset } = readString(body, offset));
+    if (flags & 0x40) ({ value: connect.password, offset } = readString(body, offset));
+    return connect;
+}
+
+/**
+ * MQTT broker stand-in: answers CONNECT with the given CONNACK return code
+ * and records CONNECT, PUBLISH and PINGREQ packets.
+ */
+function startBroker(returnCode = 0) {
+    const broker = { connects: [], publishes: [], pings: 0, sockets: new Set() };
+
+    const server = net.createServer((socket) => {
+        broker.sockets.add(socket);
+        socket.on('close', () => broker.sockets.delete(socket));
+        socket.on('error', () => {});
+
+        let received = Buffer.alloc(0);
+        socket.on('data', (data) => {
+            received = Buffer.concat([received, data]);
+            for (;;) {
+                // Fixed header: type and flags, then the variable length remaining length
+                let length = 0;
+                let multiplier = 1;
+                let offset = 1;
+                let byte;
+                do {
+                    if (offset >= received.length) return;
+                    byte = received[offset++];
+                    length += (byte & 0x7f) * multiplier;
+                    multiplier *= 128;
+                } while (byte & 0x80);
+                if (received.length < offset + length) return;
+
+                const header = received[0];
+                const body = received.subarray(offset, offset + length);
+                received = received.subarray(offset + length);
+
+                const type = header >> 4;
+                if (type === 1) {
+                    broker.connects.push(parseConnect(body));
+                    socket.write(Buffer.from([0x20, 0x02, 0x00, returnCode]));
+                } else if (type === 3) {
+                    const topic = readString(body, 0);
+                    broker.publishes.push({
+                        topic: topic.value,
+                        payload: body.subarray(topic.offset).toString(),
+                        retain: (header & 0x01) === 1
+                    });
+                } else if (type === 12) {
+                    broker.pings++;
+                    socket.write(Buffer.from([0xd0, 0x00]));
+                }
+            }
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            broker.url = `mqtt://127.0.0.1:${server.address().port}`;
+            broker.dropClients = () => broker.sockets.forEach(socket => socket.destroy());
+            broker.close = () => {
+                broker.dropClients();
+                return new Promise(done => server.close(done));
+            };
+            resolve(broker);
+        });
+    });
+}
+
+function waitFor(condition, timeout = 2000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (condition()) {
+                resolve();
+            } else if (Date.now() - started > timeout) {
+                reject(new Error('Timed out waiting for condition'));
+            } else {
+                setTimeout(check, 10);
+            }
+        };
+        check();
+    });
+}
+
+test('MQTT client sends CONNECT with credentials and publishes to the topic', async () => {
+    const broker = await startBroker();
+    const client = new MqttClient(broker.url, { clientId: 'metrics-test', username: 'user', password: 'secret' });
+
+    await client.connect();
+    assert.equal(client.isConnected(), true);
+    await client.publish('nodered/metrics', 'cpu value=1', true);
+    await waitFor(() => broker.publishes.length === 1);
+
+    client.end();
+    await broker.close();
+
+    assert.deepEqual(broker.connects, [{
+        protocol: 'MQTT',
+        level: 4,
+        // username, password and clean session
+        flags: 0xc2,
+        keepalive: 60,
+        clientId: 'metrics-test',
+        username: 'user',
+        password: 'secret'
+    }]);
+    assert.deepEqual(broker.publishes, [{ topic: 'nodered/metrics', payload: 'cpu value=1', retain: true }]);
+});
+
+test('MQTT client connects without credentials', async () => {
+    const broker = await startBroker();
+    const client = new MqttClient(broker.url, { clientId: 'anonymous' });
+
+    await client.connect();
+    client.end();
+    await broker.close();
+
+    assert.equal(broker.connects[0].flags, 0x02);
+    assert.equal(broker.connects[0].username, undefined);
+    assert.equal(broker.connects[0].password, undefined);
+});
+
+test('MQTT client rejects a refused connection', async () => {
+    const broker = await startBroker(4);
+    const client = new MqttClient(broker.url, { username: 'user', password: 'wrong' });
+
+    await assert.rejects(client.connect(), /bad user name or password/);
+    assert.equal(client.isConnected(), false);
+    await broker.close();
+});
+
+test('MQTT client sends keepalive pings', async () => {
+    const broker = await startBroker();
+    const client = new MqttClient(broker.url, { keepalive: 1 });
+
+    await client.connect();
+    await waitFor(() => broker.pings > 0);
+    client.end();
+    await broker.close();
+});
+
+test('MQTT export publishes line protocol and reconnects after the broker drops it', async () => {
+    const broker = await startBroker();
+    const registry = new promClient.Registry();
+    const counter = new promClient.Counter({ name: 'orders_total', help: 'Orders', registers: [registry] });
+    const exporter = new InfluxExporter({ getRegistry: () => registry }, {
+        influxMode: 'mqtt',
+        influxTags: { host: 'edge-1' },
+        mqttUrl: broker.url,
+        mqttTopic: 'plant/metrics'
+    });
+    exporter.start();
+
+    counter.inc(2);
+    await exporter.write();
+    await waitFor(() => broker.publishes.length === 1);
+    assert.equal(broker.publishes[0].topic, 'plant/metrics');
+    assert.match(broker.publishes[0].payload, /^orders_total,host=edge-1 value=2 \d+000000$/m);
+
+    broker.dropClients();
+    await waitFor(() => !exporter.mqttClient.isConnected());
+
+    counter.inc();
+    await exporter.write();
+    await waitFor(() => broker.publishes.length === 2);
+    assert.equal(broker.connects.length, 2);
+    assert.match(broker.publishes[1].payload, /^orders_total,host=edge-1 value=3 /m);
+
+    exporter.stop();
+    await broker.close();
+});
+
+test('MQTT export is skipped for a broker URL without a scheme', () => {
+    const exporter = new InfluxExporter({ getRegistry: () => new promClient.Registry() }, {
+        influxMode: 'mqtt',
+        mqttUrl: '192.168.1.10:1883'
+    });
+    exporter.start();
+    assert.equal(exporter.isRunning, false);
+});
+
+test('line protocol escapes spaces, commas and equals signs in tags', () => {
+    const exporter = new InfluxExporter({ getRegistry: () => new promClient.Registry() }, {
+        influxTags: { host: 'edge 1' }
+    });
+
+    const line = exporter.formatLine('nodered messages,total', {
+        flow_name: 'Orders, EU',
+        node_name: 'a=b',
+        'node type': 'http request',
+        empty: ''
+    }, { value: 5 }, '1000000');
+
+    assert.equal(line,
+        'nodered\\ messages\\,total,flow_name=Orders\\,\\ EU,host=edge\\ 1,node\\ type=http\\ request,node_name=a\\=b value=5 1000000');
+});
+
+test('line protocol writes histogram buckets as fields and skips non-finite values', () => {
+    const exporter = new InfluxExporter({ getRegistry: () => new promClient.Registry() }, { influxTags: {} });
+
+    const body = exporter.toLineProtocol([
+        {
+            name: 'duration_seconds',
+            type: 'histogram',
+            values: [
+                { metricName: 'duration_seconds_bucket', labels: { le: 0.5 }, value: 1 },
+                { metricName: 'duration_seconds_bucket', labels: { le: '+Inf' }, value: 2 },
+                { metricName: 'duration_seconds_sum', labels: {}, value: 1.5 },
+                { metricName: 'duration_seconds_count', labels: {}, value: 2 }
+            ]
+        },
+        { name: 'temperature', type: 'gauge', values: [{ labels: {}, value: NaN }] }
+    ], 1000);
+
+    assert.equal(body, 'duration_seconds count=2,sum=1.5,le_0.5=1,le_inf=2 1000000000');
+});
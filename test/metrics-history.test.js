@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const promClient = require('prom-client');
+const MetricsHistory = require('../lib/metrics-history');
+
+function createHistory(options) {
+    const registry = new promClient.Registry();
+    promClient.collectDefaultMetrics({ register: registry });
+    const counter = new promClient.Counter({ name: 'orders_total', help: 'Orders', registers: [registry] });
+    return { history: new MetricsHistory({ getRegistry: () => registry }, options), counter };
+}
+
+test('a disabled history records nothing but still emits samples', async () => {
+    const { history, counter } = createHistory({});
+    let samples = 0;
+    history.on('sample', () => samples++);
+
+    counter.inc();
+    await history.sample();
+
+    assert.equal(samples, 1);
+    assert.deepEqual(history.getMetricNames(), []);
+});
+
+test('process and Node.js metrics are left out unless asked for', async () => {
+    const { history } = createHistory({ historyEnabled: true });
+    await history.sample();
+
+    const names = history.getMetricNames();
+    assert.ok(names.includes('orders_total'));
+    assert.ok(!names.some(name => name.startsWith('process_') || name.startsWith('nodejs_')));
+
+    const withProcess = createHistory({ historyEnabled: true, historyIncludeProcessMetrics: true }).history;
+    await withProcess.sample();
+    assert.ok(withProcess.getMetricNames().some(name => name.startsWith('process_')));
+});
+
+test('query returns recorded points of matching series', async () => {
+    const { history, counter } = createHistory({ historyEnabled: true });
+    const now = Date.now();
+
+    counter.inc(2);
+    await history.sample(now - 20000);
+    counter.inc(3);
+    await history.sample(now - 10000);
+
+    const result = history.query({ metric: 'orders_total', start: now - 60000, end: now });
+    assert.equal(result.resolution, 'raw');
+    assert.deepEqual(result.series, [{ labels: {}, points: [[now - 20000, 2], [now - 10000, 5]] }]);
+});
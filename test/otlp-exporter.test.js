@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const promClient = require('prom-client');
+const OtlpExporter = require('../lib/otlp-exporter');
+
+function createExporter() {
+    const registry = new promClient.Registry();
+    return { exporter: new OtlpExporter({ getRegistry: () => registry }, { otlpEndpoint: 'http://127.0.0.1:4318/v1/metrics' }), registry };
+}
+
+function findMetric(request, name) {
+    return request.resourceMetrics[0].scopeMetrics[0].metrics.find(metric => metric.name === name);
+}
+
+test('non-finite gauge values are sent without a recorded value', async () => {
+    const { exporter, registry } = createExporter();
+    const gauge = new promClient.Gauge({ name: 'temperature', help: 'Temperature', labelNames: ['room'], registers: [registry] });
+    gauge.set({ room: 'a' }, NaN);
+    gauge.set({ room: 'b' }, 21.5);
+
+    const request = exporter.buildExportRequest(await registry.getMetricsAsJSON(), 1000);
+    const body = JSON.stringify(request);
+    assert.ok(!body.includes('null'));
+
+    const [empty, filled] = findMetric(request, 'temperature').gauge.dataPoints;
+    assert.equal(empty.flags, 1);
+    assert.equal('asDouble' in empty, false);
+    assert.equal(filled.asDouble, 21.5);
+    assert.equal('flags' in filled, false);
+});
+
+test('quantiles of an empty summary window are left out', () => {
+    const { exporter } = createExporter();
+
+    const request = exporter.buildExportRequest([{
+        name: 'latency_seconds',
+        type: 'summary',
+        values: [
+            { labels: { quantile: 0.5 }, value: NaN },
+            { labels: { quantile: 0.9 }, value: NaN },
+            { metricName: 'latency_seconds_sum', labels: {}, value: 3 },
+            { metricName: 'latency_seconds_count', labels: {}, value: 4 }
+        ]
+    }], 1000);
+    assert.ok(!JSON.stringify(request).includes('null'));
+
+    const [point] = findMetric(request, 'latency_seconds').summary.dataPoints;
+    assert.deepEqual(point.quantileValues, []);
+    assert.equal(point.count, '4');
+    assert.equal(point.sum, 3);
+});
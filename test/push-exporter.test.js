@@ -0,0 +1,246 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const promClient = require('prom-client');
+const PushExporter = require('../lib/push-exporter');
+
+/**
+ * Local stand-in for a Pushgateway or remote-write receiver. Records every
+ * request and answers with the next status from `statuses` (then 200).
+ */
+function startReceiver(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+            res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+            res.end();
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            requests,
+            statuses,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+function createExporter(options) {
+    const registry = new promClient.Registry();
+    const counter = new promClient.Counter({
+        name: 'orders_total',
+        help: 'Orders',
+        labelNames: ['status'],
+        registers: [registry]
+    });
+    const exporter = new PushExporter({ getRegistry: () => registry }, {
+        pushJobName: 'node-red',
+        pushGroupingLabels: { instance: 'edge-1' },
+        ...options
+    });
+    return { exporter, counter, registry };
+}
+
+function readVarint(buffer, offset) {
+    let value = 0;
+    let factor = 1;
+    let byte;
+    do {
+        byte = buffer[offset++];
+        value += (byte & 0x7f) * factor;
+        factor *= 128;
+    } while (byte & 0x80);
+    return { value, offset };
+}
+
+/**
+ * Decode protobuf fields into a map of field number -> values. Length
+ * delimited fields are returned as buffers.
+ */
+function readFields(buffer) {
+    const fields = new Map();
+    let offset = 0;
+    while (offset < buffer.length) {
+        const tag = readVarint(buffer, offset);
+        offset = tag.offset;
+        const field = Math.floor(tag.value / 8);
+        const wireType = tag.value & 7;
+
+        let value;
+        if (wireType === 0) {
+            ({ value, offset } = readVarint(buffer, offset));
+        } else if (wireType === 1) {
+            value = buffer.readDoubleLE(offset);
+            offset += 8;
+        } else if (wireType === 2) {
+            const length = readVarint(buffer, offset);
+            value = buffer.subarray(length.offset, length.offset + length.value);
+            offset = length.offset + length.value;
+        } else {
+            throw new Error(`Unexpected wire type ${wireType}`);
+        }
+
+        if (!fields.has(field)) fields.set(field, []);
+        fields.get(field).push(value);
+    }
+    return fields;
+}
+
+function decompressSnappy(buffer) {
+    const { value: length, offset: start } = readVarint(buffer, 0);
+    const chunks = [];
+    let offset = start;
+    while (offset < buffer.length) {
+        // Only the 2-byte literal chunks the exporter writes
+        assert.equal(buffer[offset], 61 << 2);
+        const size = buffer.readUInt16LE(offset + 1) + 1;
+        chunks.push(buffer.subarray(offset + 3, offset + 3 + size));
+        offset += 3 + size;
+    }
+    const data = Buffer.concat(chunks);
+    assert.equal(data.length, length);
+    return data;
+}
+
+/**
+ * Decode a remote-write WriteRequest into [{ labels, value, timestamp }].
+ */
+function decodeWriteRequest(body) {
+    return (readFields(decompressSnappy(body)).get(1) || []).map((timeseries) => {
+        const fields = readFields(timeseries);
+        const labels = fields.get(1).map((label) => {
+            const pair = readFields(label);
+            return [pair.get(1)[0].toString(), pair.get(2)[0].toString()];
+        });
+        const sample = readFields(fields.get(2)[0]);
+        return { labels, value: sample.get(1)[0], timestamp: sample.get(2)[0] };
+    });
+}
+
+test('remote write sends snappy-framed protobuf with sorted labels', async () => {
+    const receiver = await startReceiver();
+    const { exporter, counter } = createExporter({ pushMode: 'remote_write', pushUrl: `${receiver.url}/api/v1/write` });
+    counter.inc({ status: 'ok' }, 3);
+
+    const before = Date.now();
+    await exporter.push();
+    await receiver.close();
+
+    assert.equal(receiver.requests.length, 1);
+    const request = receiver.requests[0];
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/api/v1/write');
+    assert.equal(request.headers['content-type'], 'application/x-protobuf');
+    assert.equal(request.headers['content-encoding'], 'snappy');
+    assert.equal(request.headers['x-prometheus-remote-write-version'], '0.1.0');
+
+    const series = decodeWriteRequest(request.body);
+    // The counter, then the exporter's own buffer gauge
+    assert.deepEqual(series.map(({ labels }) => labels[0][1]), ['orders_total', 'nodered_push_buffered_snapshots']);
+    assert.deepEqual(series[0].labels, [
+        ['__name__', 'orders_total'],
+        ['instance', 'edge-1'],
+        ['job', 'node-red'],
+        ['status', 'ok']
+    ]);
+    assert.equal(series[0].value, 3);
+    assert.ok(series[0].timestamp >= before && series[0].timestamp <= Date.now());
+    assert.equal(exporter.getStatus().bufferedSnapshots, 0);
+});
+
+test('remote write buffers snapshots while the receiver fails and sends them in order', async () => {
+    const receiver = await startReceiver([503]);
+    const { exporter, counter, registry } = createExporter({ pushMode: 'remote_write', pushUrl: receiver.url });
+
+    counter.inc({ status: 'ok' });
+    await exporter.push();
+    assert.equal(exporter.getStatus().bufferedSnapshots, 1);
+    assert.ok(exporter.getStatus().retryInMs > 0);
+
+    // Still backing off: the snapshot is only buffered
+    counter.inc({ status: 'ok' });
+    await exporter.push();
+    assert.equal(receiver.requests.length, 1);
+    assert.equal(exporter.getStatus().bufferedSnapshots, 2);
+
+    exporter.nextAttemptAt = 0;
+    counter.inc({ status: 'ok' });
+    await exporter.push();
+    await receiver.close();
+
+    // The failed attempt, then all three snapshots oldest first
+    assert.equal(receiver.requests.length, 4);
+    const values = receiver.requests.slice(1).map(request => decodeWriteRequest(request.body)[0].value);
+    assert.deepEqual(values, [1, 2, 3]);
+    const timestamps = receiver.requests.slice(1).map(request => decodeWriteRequest(request.body)[0].timestamp);
+    assert.deepEqual(timestamps, [...timestamps].sort((a, b) => a - b));
+    assert.equal(exporter.getStatus().bufferedSnapshots, 0);
+
+    const pushes = (await registry.getSingleMetric('nodered_push_total').get()).values;
+    assert.equal(pushes.find(({ labels }) => labels.result === 'failure').value, 1);
+    assert.equal(pushes.find(({ labels }) => labels.result === 'success').value, 3);
+});
+
+test('remote write keeps only the newest snapshots up to the buffer size', async () => {
+    const receiver = await startReceiver([500, 500, 500]);
+    const { exporter, counter } = createExporter({ pushMode: 'remote_write', pushUrl: receiver.url, pushMaxBufferSize: 2 });
+
+    for (let i = 0; i < 3; i++) {
+        counter.inc({ status: 'ok' });
+        exporter.nextAttemptAt = 0;
+        await exporter.push();
+    }
+    assert.equal(exporter.getStatus().bufferedSnapshots, 2);
+
+    counter.inc({ status: 'ok' });
+    exporter.nextAttemptAt = 0;
+    await exporter.push();
+    await receiver.close();
+
+    // Three failed attempts, then the two newest of four snapshots
+    const values = receiver.requests.slice(3).map(request => decodeWriteRequest(request.body)[0].value);
+    assert.deepEqual(values, [3, 4]);
+});
+
+test('backoff doubles after each failure', async () => {
+    const receiver = await startReceiver([500, 500]);
+    const { exporter } = createExporter({ pushMode: 'remote_write', pushUrl: receiver.url, pushInterval: 1000 });
+
+    await exporter.push();
+    assert.equal(exporter.backoff, 1000);
+    exporter.nextAttemptAt = 0;
+    await exporter.push();
+    assert.equal(exporter.backoff, 2000);
+    exporter.nextAttemptAt = 0;
+    await exporter.push();
+    await receiver.close();
+
+    assert.equal(exporter.backoff, 0);
+    assert.equal(exporter.getStatus().retryInMs, 0);
+});
+
+test('pushgateway mode PUTs the text exposition to the grouping key URL', async () => {
+    const receiver = await startReceiver([500]);
+    const { exporter, counter } = createExporter({ pushMode: 'pushgateway', pushUrl: `${receiver.url}/` });
+
+    counter.inc({ status: 'ok' });
+    await exporter.push();
+    counter.inc({ status: 'ok' });
+    exporter.nextAttemptAt = 0;
+    await exporter.push();
+    await receiver.close();
+
+    // Only the latest state is kept for the Pushgateway
+    assert.equal(receiver.requests.length, 2);
+    const request = receiver.requests[1];
+    assert.equal(request.method, 'PUT');
+    assert.equal(request.url, '/metrics/job/node-red/instance/edge-1');
+    assert.match(request.headers['content-type'], /^text\/plain/);
+    assert.match(request.body.toString(), /^orders_total\{status="ok"\} 2$/m);
+    assert.equal(exporter.getStatus().bufferedSnapshots, 0);
+});